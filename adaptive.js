@@ -0,0 +1,92 @@
+/**
+ * adaptive.js: Computerized Adaptive Testing (CAT) for the forced-choice item block.
+ *
+ * Instead of walking every forced-choice item in file order, an adaptive session administers
+ * the item that is most informative for the respondent at their current provisional theta.
+ * The calibrated 2PL parameters in `itemParameterMatrix.js` make this possible:
+ * 1.  **Provisional Estimation:** After every answer, theta is re-estimated for each dichotomy
+ *     with the scorer's estimator, together with its standard error (SE). EAP is used by default,
+ *     as the MLE has no finite solution for the one-sided patterns typical early in a session.
+ * 2.  **Dichotomy Selection:** The dichotomy measured least precisely (highest SE) that still
+ *     has unadministered items and has not reached the target precision is targeted next.
+ * 3.  **Item Selection:** Within that dichotomy, the item with the maximum Fisher information
+ *     at the provisional theta is chosen.
+ * 4.  **Stopping Rule:** The session stops once every dichotomy's SE falls below the target,
+ *     or the item cap is reached, or the bank is exhausted.
+ */
+
+import { itemParameters } from './itemParameterMatrix.js';
+import { DICHOTOMY_CONFIG, findBestThetaForDichotomy, itemInformation } from './scorer.js';
+
+// Default stopping and selection rules for an adaptive session. Any of these may be
+// overridden per session by passing a partial config to the functions below.
+export const ADAPTIVE_CONFIG = {
+    targetStandardError: 0.5, // Stop measuring a dichotomy once its SE drops below this value
+    maxItems: 30,             // Hard cap on the number of forced-choice items administered
+    minItemsPerDichotomy: 3,  // Never stop a dichotomy before it has this many answered items
+    estimator: 'eap'          // Provisional theta estimator ('mle', 'eap' or 'map'), see scorer.js
+};
+
+/**
+ * [PUBLIC] Summarizes the measurement state of every IRT dichotomy for an adaptive session.
+ * @param {Array} mbtiQuestions - The forced-choice questions available to the session.
+ * @param {Object} mbtiAnswers - Answers so far, keyed by question number ({ choice }).
+ * @param {Object} [config] - Partial overrides for ADAPTIVE_CONFIG.
+ * @returns {Object} Per-dichotomy { theta, standardError, answered, remaining, done }.
+ */
+export function getAdaptiveStatus(mbtiQuestions, mbtiAnswers, config = {}) {
+    const { targetStandardError, minItemsPerDichotomy, estimator } = { ...ADAPTIVE_CONFIG, ...config };
+    const status = {};
+
+    for (const dichotomy of Object.keys(DICHOTOMY_CONFIG)) {
+        const bank = mbtiQuestions.filter(q => itemParameters[q.number - 1]?.dichotomy === dichotomy);
+        const answered = bank.filter(q => mbtiAnswers[q.number]);
+        const remaining = bank.filter(q => !mbtiAnswers[q.number]);
+
+        const { theta, standardError } = findBestThetaForDichotomy(dichotomy, mbtiAnswers, mbtiQuestions, { estimator });
+        const precise = answered.length >= minItemsPerDichotomy && standardError < targetStandardError;
+
+        status[dichotomy] = {
+            theta,
+            standardError,
+            answered: answered.length,
+            remaining,
+            done: precise || remaining.length === 0
+        };
+    }
+    return status;
+}
+
+/**
+ * [PUBLIC] Picks the next forced-choice item to administer, or null once the stopping rule is met.
+ * @param {Array} mbtiQuestions - The forced-choice questions available to the session.
+ * @param {Object} mbtiAnswers - Answers so far, keyed by question number ({ choice }).
+ * @param {Object} [config] - Partial overrides for ADAPTIVE_CONFIG.
+ * @returns {Object|null} The next question object, or null if the session should stop.
+ */
+export function selectNextItem(mbtiQuestions, mbtiAnswers, config = {}) {
+    const { maxItems } = { ...ADAPTIVE_CONFIG, ...config };
+    const status = getAdaptiveStatus(mbtiQuestions, mbtiAnswers, config);
+
+    const administered = Object.values(status).reduce((sum, s) => sum + s.answered, 0);
+    if (administered >= maxItems) return null;
+
+    // Target the least precise dichotomy; fewer answered items breaks SE ties (e.g. at the start).
+    const candidates = Object.values(status)
+        .filter(s => !s.done)
+        .sort((x, y) => (y.standardError - x.standardError) || (x.answered - y.answered));
+    if (candidates.length === 0) return null;
+
+    const { theta, remaining } = candidates[0];
+    let bestItem = null;
+    let bestInformation = -Infinity;
+    for (const q of remaining) {
+        const { a, b } = itemParameters[q.number - 1].params;
+        const information = itemInformation(theta, a, b);
+        if (information > bestInformation) {
+            bestInformation = information;
+            bestItem = q;
+        }
+    }
+    return bestItem;
+}
@@ -1,84 +1,147 @@
 // app.js: Main Application Logic for UI/UX
 
-import { calculateHybridResults } from './scorer.js';
+import { itemParameters } from './itemParameterMatrix.js';
+import { validateItemBank } from './bankValidator.js';
+import { selectNextItem, ADAPTIVE_CONFIG } from './adaptive.js';
+import { renderResults, renderValidity, renderProcessSummary } from './resultsView.js';
+import { computeBankVersion, saveSession, loadSession, clearSession } from './session.js';
+import { encodeShareFragment, decodeShareFragment } from './shareLink.js';
+import { SCORING_PROFILES } from './scoringProfiles.js';
+import { TYPOLOGY_MODELS } from './typologyModels.js';
+import { buildResultRecord, recordToJson, parseResultJson, validateResultRecord, recordsToCsv, parseResultCsv } from './resultRecord.js';
+import { getQuestionId, flattenItemBank, normalizeAnswers, splitAnswers, scoreProtocol, screenProtocol, answersIncludeJp } from './protocol.js';
+import { createProcessLog, markItemShown, closeItemView, recordAnswer, recordBackNavigation, summarizeProcessData } from './processData.js';
+import { createRandomization, orderSessionItems, getOptionOrder } from './randomization.js';
+import { LOCALE_CONFIG, detectLocale, saveLocale, loadLocale, getLocale, t, tCount, applyLocale, localizeItemBank } from './i18n.js';
+import { loadHistory, addToHistory, removeFromHistory, clearHistory } from './history.js';
+import { compareResults } from './comparison.js';
+import { renderHistoryList, renderComparison } from './historyView.js';
 
 // --- DOM Element References ---
 const screens = {
     welcome: document.getElementById('welcome-screen'),
     quiz: document.getElementById('quiz-screen'),
     results: document.getElementById('results-screen'),
+    history: document.getElementById('history-screen'),
 };
 const startBtn = document.getElementById('start-btn');
+const adaptiveToggle = document.getElementById('adaptive-toggle');
+const jpToggle = document.getElementById('jp-toggle');
+const shuffleToggle = document.getElementById('shuffle-toggle');
+const interleaveToggle = document.getElementById('interleave-toggle');
+const swapToggle = document.getElementById('swap-toggle');
+const seedInput = document.getElementById('seed-input');
+const estimatorSelect = document.getElementById('estimator-select');
+const modelSelect = document.getElementById('model-select');
+const languageSelect = document.getElementById('language-select');
+const resumePanel = document.getElementById('resume-panel');
+const resumeSummary = document.getElementById('resume-summary');
+const resumeBtn = document.getElementById('resume-btn');
+const startOverBtn = document.getElementById('start-over-btn');
+const welcomeError = document.getElementById('welcome-error');
+const shareBtn = document.getElementById('share-btn');
+const shareLinkInput = document.getElementById('share-link');
+const exportJsonBtn = document.getElementById('export-json-btn');
+const exportCsvBtn = document.getElementById('export-csv-btn');
+const importInput = document.getElementById('import-input');
+const historyBtn = document.getElementById('history-btn');
+const resultsHistoryBtn = document.getElementById('results-history-btn');
+const historyList = document.getElementById('history-list');
+const compareBtn = document.getElementById('compare-btn');
+const clearHistoryBtn = document.getElementById('clear-history-btn');
+const historyBackBtn = document.getElementById('history-back-btn');
 const backBtn = document.getElementById('back-btn');
 const nextBtn = document.getElementById('next-btn');
 const restartBtn = document.getElementById('restart-btn');
 const questionContainer = document.getElementById('question-container');
+const progressContainer = document.getElementById('progress-container');
 const progressBar = document.getElementById('progress-bar');
+const progressStatus = document.getElementById('progress-status');
 const errorMessage = document.getElementById('error-message');
-const finalTypeText = document.getElementById('final-type-text');
-const rationaleText = document.getElementById('rationale-text');
 
 // --- Application State ---
-let allQuestions = [];
+let baseQuestions = [];     // The full item bank as written in questions.json (English), in file order
+let allQuestions = [];      // The full item bank in the respondent's language, in file order
+let bankVersion = '';       // Fingerprint of the loaded questions.json, used to invalidate saved sessions
+let sessionQuestions = [];  // The items administered in this session, in presentation order
+let isAdaptive = false;     // Whether the forced-choice block is administered adaptively
+let includeJp = false;      // Whether the optional J-P item block is part of this session
+let adaptivePhaseComplete = false; // Set once the adaptive stopping rule has been met
+let randomization = null;   // Seeded randomization of the presentation (see randomization.js), or null
 let currentQuestionIndex = 0;
 let userAnswers = {}; // { qId: 'value' }
+let sessionStartedAt = null; // ISO timestamp of the start of the current session
+let processLog = createProcessLog(); // Per-item timing, answer changes and back-navigation of the session
+let currentRecord = null; // The complete result record behind the results screen
+let selectedHistoryIds = []; // The past results selected for comparison, at most two
+let historyReturnScreen = 'welcome'; // The screen the history screen's Back button returns to
 
 // --- UI Logic ---
 
 /**
  * Switches the active screen.
- * @param {string} screenName - The key of the screen to show ('welcome', 'quiz', 'results').
+ * @param {string} screenName - The key of the screen to show ('welcome', 'quiz', 'results', 'history').
  */
 function showScreen(screenName) {
     Object.values(screens).forEach(screen => screen.classList.remove('active'));
     screens[screenName].classList.add('active');
+    // Move focus to the new screen's heading, so screen readers announce the change of screen.
+    // The quiz screen has none; `renderQuestion` focuses the answers instead.
+    screens[screenName].querySelector('h1, h2')?.focus();
 }
 
 /**
  * Renders a single question based on the current index.
+ * The answers form a labelled radio group, and focus moves into it so that keyboard and
+ * screen-reader users land on the new question.
  */
 function renderQuestion() {
-    if (currentQuestionIndex < 0 || currentQuestionIndex >= allQuestions.length) return;
+    if (currentQuestionIndex < 0 || currentQuestionIndex >= sessionQuestions.length) return;
 
-    const q = allQuestions[currentQuestionIndex];
+    const q = sessionQuestions[currentQuestionIndex];
+    markItemShown(processLog, getQuestionId(q));
     let html = '';
 
     // Handle MBTI Forced-Choice Questions
     if (q.type === 'mbti') {
-        const questionText = q.question ? `<p class="question-text">${q.question}</p>` : `<p class="question-text">Which word appeals to you more?</p>`;
+        // The inputs keep the original option letter, so a swapped placement is still scored correctly;
+        // the shortcut keys follow the placement on screen.
         html = `
-            ${questionText}
-            <div class="options-container" data-question-id="${q.number}">
-                <label class="option-label">
-                    <input type="radio" name="q${q.number}" value="A">
-                    <span class="radio-custom"></span>
-                    <span>${q.options.A.text}</span>
-                </label>
-                <label class="option-label">
-                    <input type="radio" name="q${q.number}" value="B">
-                    <span class="radio-custom"></span>
-                    <span>${q.options.B.text}</span>
-                </label>
+            <p class="question-text" id="question-prompt">${q.question || t('quiz.wordPair')}</p>
+            <div class="options-container" role="radiogroup" aria-labelledby="question-prompt" data-question-id="${q.number}">
+                ${getOptionOrder(q, randomization).map((letter, index) => `
+                    <label class="option-label">
+                        <input type="radio" name="q${q.number}" value="${letter}" aria-keyshortcuts="${'AB'[index]}">
+                        <span class="radio-custom"></span>
+                        <span>${q.options[letter].text}</span>
+                    </label>
+                `).join('')}
             </div>
         `;
     }
     // Handle Attitude Likert-Scale Questions
+    // A pair item anchors the scale with its two constructs; an agreement item (construct1 only)
+    // rates its statement from agree to disagree.
     else if (q.type === 'attitude') {
-        const likertLabels = ['Definitely', 'Somewhat', 'Neutral<br>(neither/both)', 'Somewhat', 'Definitely'];
+        const isPair = Boolean(q.construct2);
+        const likertLabels = (isPair
+            ? ['quiz.likert.definitely', 'quiz.likert.somewhat', 'quiz.likert.neutral', 'quiz.likert.somewhat', 'quiz.likert.definitely']
+            : ['quiz.agreement.stronglyAgree', 'quiz.agreement.agree', 'quiz.agreement.neutral', 'quiz.agreement.disagree', 'quiz.agreement.stronglyDisagree']
+        ).map(key => t(key));
         html = `
             <div class="likert-scale-container" data-question-id="${q.id}">
-                <p class="question-text">${q.text}</p>
+                <p class="question-text" id="question-prompt">${q.text}</p>
                 <div class="likert-layout">
-                    <p class="likert-description-left">${q.construct1.description}</p>
-                    <div class="likert-button-group">
+                    <p class="likert-description-left" id="likert-construct1">${isPair ? q.construct1.description : ''}</p>
+                    <div class="likert-button-group" role="radiogroup" aria-labelledby="question-prompt">
                         ${[1, 2, 3, 4, 5].map((val, index) => `
                             <label class="likert-btn-label">
-                                <input type="radio" name="${q.id}" value="${val}">
+                                <input type="radio" name="${q.id}" value="${val}" aria-keyshortcuts="${val}"${!isPair || val === 3 ? '' : ` aria-describedby="likert-construct${val < 3 ? 1 : 2}"`}>
                                 <span class="likert-btn">${likertLabels[index]}</span>
                             </label>
                         `).join('')}
                     </div>
-                    <p class="likert-description-right">${q.construct2.description}</p>
+                    <p class="likert-description-right" id="likert-construct2">${isPair ? q.construct2.description : ''}</p>
                 </div>
             </div>
         `;
@@ -88,14 +151,15 @@ function renderQuestion() {
     updateSelection();
     updateNavigation();
     updateProgressBar();
+    (questionContainer.querySelector('input:checked') || questionContainer.querySelector('input')).focus();
 }
 
 /**
  * Updates the UI to reflect the currently saved answer for a question.
  */
 function updateSelection() {
-    const q = allQuestions[currentQuestionIndex];
-    const qId = q.type === 'mbti' ? q.number : q.id;
+    const q = sessionQuestions[currentQuestionIndex];
+    const qId = getQuestionId(q);
     const savedAnswer = userAnswers[qId];
 
     document.querySelectorAll('.option-label, .likert-btn-label').forEach(label => label.classList.remove('selected'));
@@ -114,33 +178,174 @@ function updateSelection() {
  * Updates the visibility and text of navigation buttons.
  */
 function updateNavigation() {
+    const isLastQuestion = currentQuestionIndex === sessionQuestions.length - 1 && (!isAdaptive || adaptivePhaseComplete);
     backBtn.style.visibility = currentQuestionIndex > 0 ? 'visible' : 'hidden';
-    nextBtn.textContent = currentQuestionIndex === allQuestions.length - 1 ? 'Get My Result' : 'Next';
+    nextBtn.textContent = t(isLastQuestion ? 'quiz.finish' : 'quiz.next');
 }
 
 /**
- * Updates the progress bar width.
+ * Updates the progress bar width and announces the question position to screen readers.
+ * In adaptive mode the session length is not known in advance, so progress is measured
+ * against the worst case (the item cap plus the attitude block) until the adaptive phase ends.
  */
 function updateProgressBar() {
-    const progress = (currentQuestionIndex / allQuestions.length) * 100;
+    let total = sessionQuestions.length;
+    if (isAdaptive && !adaptivePhaseComplete) {
+        const sessionBank = getSessionBank();
+        const attitudeCount = sessionBank.filter(q => q.type === 'attitude').length;
+        const mbtiCount = sessionBank.filter(q => q.type === 'mbti').length;
+        total = Math.min(ADAPTIVE_CONFIG.maxItems, mbtiCount) + attitudeCount;
+    }
+    const progress = (currentQuestionIndex / total) * 100;
     progressBar.style.width = `${progress}%`;
+
+    const status = t(isAdaptive && !adaptivePhaseComplete ? 'quiz.progressAdaptive' : 'quiz.progress', {
+        current: currentQuestionIndex + 1,
+        total
+    });
+    progressContainer.setAttribute('aria-valuenow', String(Math.round(progress)));
+    progressContainer.setAttribute('aria-valuetext', status);
+    progressStatus.textContent = status;
+}
+
+/**
+ * Returns the part of the item bank eligible for the current session.
+ * The optional J-P block is only included when the respondent opted into it.
+ * @returns {Array} The eligible questions, in file order.
+ */
+function getSessionBank() {
+    return allQuestions.filter(q => !q.optional || includeJp);
+}
+
+/**
+ * Extends an adaptive session by one item when the respondent reaches its end.
+ * Once the adaptive stopping rule is met, the full attitude block is appended instead.
+ */
+function extendAdaptiveSession() {
+    if (!isAdaptive || adaptivePhaseComplete || currentQuestionIndex < sessionQuestions.length - 1) return;
+
+    const sessionBank = getSessionBank();
+    const nextItem = selectNextItem(sessionBank.filter(q => q.type === 'mbti'), splitAnswers(allQuestions, userAnswers).mbtiAnswers);
+    if (nextItem) {
+        sessionQuestions.push(nextItem);
+    } else {
+        adaptivePhaseComplete = true;
+        sessionQuestions.push(...orderSessionItems(sessionBank.filter(q => q.type === 'attitude'), randomization));
+    }
+}
+
+/**
+ * Saves the current session so it can be resumed after a reload or a closed tab.
+ */
+function persistSession() {
+    saveSession({
+        bankVersion,
+        isAdaptive,
+        includeJp,
+        adaptivePhaseComplete,
+        randomization,
+        estimator: estimatorSelect.value,
+        typologyModel: modelSelect.value,
+        sessionStartedAt,
+        sessionQuestionIds: sessionQuestions.map(getQuestionId),
+        currentQuestionIndex,
+        userAnswers,
+        processLog
+    });
+}
+
+/**
+ * Restores a saved session and returns to the question the respondent left off at.
+ * @param {Object} saved - The state returned by `loadSession`.
+ */
+function resumeSession(saved) {
+    const questionsById = new Map(allQuestions.map(q => [getQuestionId(q), q]));
+    isAdaptive = saved.isAdaptive;
+    includeJp = saved.includeJp;
+    adaptivePhaseComplete = saved.adaptivePhaseComplete;
+    randomization = saved.randomization || null;
+    sessionStartedAt = saved.sessionStartedAt;
+    estimatorSelect.value = saved.estimator;
+    // Sessions saved before the model option existed were taken with the default model.
+    modelSelect.value = saved.typologyModel || 'four-function';
+    adaptiveToggle.checked = isAdaptive;
+    jpToggle.checked = includeJp;
+    shuffleToggle.checked = Boolean(randomization?.shuffleWithinBlocks);
+    interleaveToggle.checked = Boolean(randomization?.interleaveBlocks);
+    swapToggle.checked = Boolean(randomization?.swapOptions);
+    sessionQuestions = saved.sessionQuestionIds.map(id => questionsById.get(id)).filter(Boolean);
+    userAnswers = saved.userAnswers;
+    // Time spent away from the page is not response time, so the interrupted view is dropped.
+    processLog = saved.processLog ? { ...saved.processLog, current: null } : createProcessLog();
+    currentQuestionIndex = Math.min(saved.currentQuestionIndex, sessionQuestions.length - 1);
+    showScreen('quiz');
+    renderQuestion();
+}
+
+/**
+ * Offers to resume a saved session on the welcome screen, if one exists for this item bank.
+ */
+function offerResume() {
+    const saved = loadSession(bankVersion);
+    if (!saved || saved.sessionQuestionIds.length === 0) {
+        resumePanel.hidden = true;
+        return;
+    }
+    const answeredCount = Object.keys(saved.userAnswers).length;
+    resumeSummary.textContent = tCount('resume.summary', answeredCount);
+    resumePanel.hidden = false;
+}
+
+/**
+ * Builds the question sequence for a new session.
+ * A fixed-form session administers the full bank; an adaptive session starts with the
+ * single most informative forced-choice item and grows as answers come in. Either may be
+ * randomized from the seed entered on the welcome screen, or from a fresh one.
+ */
+function startSession() {
+    const seedText = seedInput.value.trim();
+    try {
+        randomization = createRandomization({
+            shuffleWithinBlocks: shuffleToggle.checked,
+            interleaveBlocks: interleaveToggle.checked,
+            swapOptions: swapToggle.checked
+        }, seedText === '' ? undefined : Number(seedText));
+    } catch {
+        welcomeError.textContent = t('welcome.invalidSeed');
+        return;
+    }
+    welcomeError.textContent = '';
+    isAdaptive = adaptiveToggle.checked;
+    includeJp = jpToggle.checked;
+    adaptivePhaseComplete = false;
+    currentQuestionIndex = 0;
+    userAnswers = {};
+    processLog = createProcessLog();
+    sessionStartedAt = new Date().toISOString();
+    sessionQuestions = isAdaptive ? [] : orderSessionItems(getSessionBank(), randomization);
+    extendAdaptiveSession();
+    persistSession();
+    showScreen('quiz');
+    renderQuestion();
 }
 
 /**
  * Handles navigation to the next question or submits the quiz.
  */
 function handleNext() {
-    const q = allQuestions[currentQuestionIndex];
-    const qId = q.type === 'mbti' ? q.number : q.id;
+    const q = sessionQuestions[currentQuestionIndex];
+    const qId = getQuestionId(q);
 
     if (!userAnswers[qId]) {
-        errorMessage.textContent = 'Please select an option.';
+        errorMessage.textContent = t('quiz.selectOption');
         return;
     }
     errorMessage.textContent = '';
+    extendAdaptiveSession();
 
-    if (currentQuestionIndex < allQuestions.length - 1) {
+    if (currentQuestionIndex < sessionQuestions.length - 1) {
         currentQuestionIndex++;
+        persistSession();
         renderQuestion();
     } else {
         submitQuiz();
@@ -152,7 +357,10 @@ function handleNext() {
  */
 function handleBack() {
     if (currentQuestionIndex > 0) {
+        const from = getQuestionId(sessionQuestions[currentQuestionIndex]);
         currentQuestionIndex--;
+        recordBackNavigation(processLog, from, getQuestionId(sessionQuestions[currentQuestionIndex]));
+        persistSession();
         renderQuestion();
     }
 }
@@ -163,39 +371,327 @@ function handleBack() {
  */
 function handleAnswerSelect(e) {
     if (e.target.name) {
-        const q = allQuestions[currentQuestionIndex];
-        const qId = q.type === 'mbti' ? q.number : q.id;
+        const q = sessionQuestions[currentQuestionIndex];
+        const qId = getQuestionId(q);
         userAnswers[qId] = e.target.value;
+        recordAnswer(processLog, qId);
+        persistSession();
         updateSelection();
         errorMessage.textContent = '';
     }
 }
 
 /**
- * Gathers answers, calls the scorer, and displays the results.
+ * Handles the quiz keyboard shortcuts: A/B (the first and second answer on screen) or 1-5 answer
+ * the current question, Enter moves on and Backspace goes back. Arrow keys need no handling, as they move between the answers of a
+ * native radio group. Keys pressed with a modifier, or held down, are left to the browser.
+ * @param {KeyboardEvent} e - The keydown event.
+ */
+function handleQuizKeydown(e) {
+    if (!screens.quiz.classList.contains('active') || e.altKey || e.ctrlKey || e.metaKey || e.repeat) return;
+
+    const key = e.key.toUpperCase();
+    const input = [...questionContainer.querySelectorAll('input[type="radio"]')].find(radio => radio.getAttribute('aria-keyshortcuts') === key);
+    if (input) {
+        input.focus();
+        // Re-pressing the shortcut of the chosen answer changes nothing and must not count as a change.
+        if (!input.checked) {
+            input.checked = true;
+            input.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+    } else if (e.key === 'Enter') {
+        // A focused button already acts on Enter by itself.
+        if (e.target.closest?.('button')) return;
+        handleNext();
+    } else if (e.key === 'Backspace') {
+        handleBack();
+    } else {
+        return;
+    }
+    e.preventDefault();
+}
+
+/**
+ * Shows the results screen for a complete result record.
+ * @param {Object} record - A record built by `buildResultRecord` or imported from a JSON export.
+ */
+function showRecord(record) {
+    currentRecord = record;
+    shareLinkInput.value = '';
+    shareLinkInput.hidden = true;
+    shareBtn.textContent = t('results.share');
+    // A share link encodes answers against the loaded bank and names the profile and model, so it
+    // is only offered for records of this bank scored with a built-in profile and model. The
+    // settings tell a custom definition apart; the names in the result are checked as well.
+    const { scoringProfile = 'standard', typologyModel = 'four-function' } = record.result;
+    const isBuiltIn = (setting, name, builtIns) => typeof setting !== 'object' && Object.hasOwn(builtIns, name);
+    shareBtn.disabled = record.bankVersion !== bankVersion
+        || !isBuiltIn(record.settings?.scoringProfile, scoringProfile, SCORING_PROFILES)
+        || !isBuiltIn(record.settings?.typologyModel, typologyModel, TYPOLOGY_MODELS);
+    renderResults(record.result);
+    renderValidity(record.validity);
+    renderProcessSummary(record.processData);
+    showScreen('results');
+}
+
+/**
+ * Scores a set of answers and shows the results screen.
+ * @param {Object} answers - Answers keyed by question number or attitude id.
+ * @param {Object} settings - How the answers were collected and are to be scored ({ estimator, scoringProfile?, typologyModel?, adaptive, includeJp, randomization?, locale? }).
+ * @param {Object} [timestamps] - { startedAt, completedAt } of the session, when known.
+ * @param {Object|null} [log] - The session's process log, when the answers were collected live.
+ * @returns {Object} The result record shown.
+ */
+function showResultsFor(answers, settings, timestamps = {}, log = null) {
+    const result = scoreProtocol(allQuestions, answers, {
+        estimator: settings.estimator,
+        scoringProfile: settings.scoringProfile,
+        typologyModel: settings.typologyModel
+    });
+    const processData = log && {
+        items: log.items,
+        backNavigations: log.backNavigations,
+        activeMs: log.activeMs,
+        summary: summarizeProcessData(log, allQuestions)
+    };
+    // Active on-screen time excludes breaks between a save and a resume, so prefer it to wall time.
+    const { startedAt, completedAt } = timestamps;
+    let durationMs = startedAt && completedAt ? Date.parse(completedAt) - Date.parse(startedAt) : null;
+    if (processData) durationMs = processData.activeMs;
+    const validity = screenProtocol(allQuestions, answers, result, durationMs, settings);
+    const record = buildResultRecord({ answers, result, settings, validity, processData, bankVersion, ...timestamps });
+    showRecord(record);
+    return record;
+}
+
+/**
+ * Gathers answers, calls the scorer, displays the results and adds them to the result history.
  */
 function submitQuiz() {
-    const mbtiAnswers = {};
-    const attitudeAnswers = {};
-
-    allQuestions.forEach(q => {
-        if (q.type === 'mbti' && userAnswers[q.number]) {
-            mbtiAnswers[q.number] = { choice: userAnswers[q.number] };
-        } else if (q.type === 'attitude' && userAnswers[q.id]) {
-            attitudeAnswers[q.id] = { choice: userAnswers[q.id] };
+    // The assessment is complete, so there is nothing left to resume.
+    clearSession();
+    closeItemView(processLog);
+    const settings = {
+        estimator: estimatorSelect.value,
+        typologyModel: modelSelect.value,
+        adaptive: isAdaptive,
+        includeJp,
+        randomization,
+        locale: getLocale()
+    };
+    const record = showResultsFor(userAnswers, settings, {
+        startedAt: sessionStartedAt,
+        completedAt: new Date().toISOString()
+    }, processLog);
+    // Only results completed here are kept; imported and shared results may be someone else's.
+    addToHistory(record);
+}
+
+/**
+ * Offers a file for download.
+ * @param {string} content - The file contents.
+ * @param {string} fileName - The suggested file name.
+ * @param {string} mimeType - The MIME type of the contents.
+ */
+function downloadFile(content, fileName, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Builds a file name for an export of the current result.
+ * @param {string} extension - The file extension, without the dot.
+ * @returns {string} The file name, e.g. 'result-INTP-2024-05-01.json'.
+ */
+function exportFileName(extension) {
+    const date = (currentRecord.completedAt || currentRecord.exportedAt).slice(0, 10);
+    return `result-${currentRecord.result.finalType}-${date}.${extension}`;
+}
+
+/**
+ * Reads a previously exported JSON or CSV file and re-displays its result.
+ * JSON exports are shown as saved once they pass `validateResultRecord`; CSV exports only
+ * carry the raw answers, so those are re-scored with the settings recorded in the row (the
+ * first row, for multi-row files), provided the row was exported with the loaded bank.
+ * @param {Event} e - The file input change event.
+ */
+async function handleImport(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    welcomeError.textContent = '';
+    try {
+        const text = await file.text();
+        if (file.name.toLowerCase().endsWith('.csv')) {
+            const [row] = parseResultCsv(text, allQuestions);
+            // The q_ columns are matched to items by id only, so another bank's answers would be re-scored against the wrong items.
+            if (row.bankVersion && row.bankVersion !== bankVersion) {
+                throw new Error(`This result was exported with a different version of the questions (${row.bankVersion}) and cannot be re-scored.`);
+            }
+            // Hand-edited rows may hold lowercase or numeric choices; reject anything the bank cannot score.
+            const answers = normalizeAnswers(allQuestions, row.answers);
+            showResultsFor(answers, row.settings, { startedAt: row.startedAt, completedAt: row.completedAt });
+        } else {
+            showRecord(validateResultRecord(parseResultJson(text), allQuestions));
         }
+    } catch (error) {
+        console.error("Failed to import result:", error);
+        welcomeError.textContent = t('welcome.importFailed', { message: error.message });
+    }
+}
+
+/**
+ * Builds a link that reproduces the result on screen and offers it for copying.
+ * The link is also shown in a read-only field, in case clipboard access is unavailable.
+ */
+async function handleShare() {
+    const fragment = encodeShareFragment(allQuestions, currentRecord.answers, {
+        bankVersion,
+        estimator: currentRecord.result.estimation.estimator,
+        typologyModel: currentRecord.result.typologyModel,
+        scoringProfile: currentRecord.result.scoringProfile
     });
+    const link = `${location.origin}${location.pathname}${fragment}`;
+    shareLinkInput.value = link;
+    shareLinkInput.hidden = false;
+    shareLinkInput.select();
+    try {
+        await navigator.clipboard.writeText(link);
+        shareBtn.textContent = t('results.shareCopied');
+    } catch (error) {
+        console.warn("Clipboard unavailable, showing the link instead:", error);
+    }
+}
 
-    // Pass only the relevant question arrays to the scorer
-    const mbtiQuestions = allQuestions.filter(q => q.type === 'mbti');
-    const attitudeQuestions = allQuestions.filter(q => q.type === 'attitude');
+/**
+ * Opens the results screen directly if the page was loaded from a share link.
+ * @returns {boolean} True if a shared result was shown.
+ */
+function openSharedResult() {
+    try {
+        const shared = decodeShareFragment(location.hash, allQuestions, bankVersion);
+        if (!shared) return false;
+        const includeJp = answersIncludeJp(allQuestions, shared.userAnswers);
+        showResultsFor(shared.userAnswers, {
+            estimator: shared.estimator,
+            scoringProfile: shared.scoringProfile,
+            typologyModel: shared.typologyModel,
+            adaptive: null,
+            includeJp
+        });
+        return true;
+    } catch (error) {
+        console.error("Failed to open shared result:", error);
+        welcomeError.textContent = error.message;
+        return false;
+    }
+}
+
+/**
+ * Re-renders the result history, dropping selections of results that no longer exist, and
+ * hides any comparison shown before.
+ */
+function refreshHistory() {
+    const entries = loadHistory();
+    selectedHistoryIds = selectedHistoryIds.filter(id => entries.some(entry => entry.id === id));
+    renderHistoryList(entries, selectedHistoryIds);
+    renderComparison(null);
+}
 
-    // Call the external scoring function
-    const result = calculateHybridResults(mbtiAnswers, attitudeAnswers, mbtiQuestions, attitudeQuestions);
+/**
+ * Shows the history screen, remembering the screen to return to.
+ */
+function showHistory() {
+    historyReturnScreen = screens.results.classList.contains('active') ? 'results' : 'welcome';
+    selectedHistoryIds = [];
+    refreshHistory();
+    showScreen('history');
+}
 
-    finalTypeText.textContent = result.finalType;
-    rationaleText.textContent = result.rationale;
-    showScreen('results');
+/**
+ * Selects or deselects a past result for comparison. Selecting a third result deselects the
+ * one selected first, so two are always the most recent choices.
+ * @param {Event} e - The change event of a history checkbox.
+ */
+function handleHistorySelect(e) {
+    const { id } = e.target.dataset;
+    if (!id) return;
+    selectedHistoryIds = e.target.checked
+        ? [...selectedHistoryIds, id].slice(-2)
+        : selectedHistoryIds.filter(selected => selected !== id);
+    refreshHistory();
+    // Re-rendering replaced the checkbox, so return focus to its replacement.
+    [...historyList.querySelectorAll('input[data-id]')].find(input => input.dataset.id === id)?.focus();
+}
+
+/**
+ * Opens or deletes a past result.
+ * @param {Event} e - The click event within the history list.
+ */
+function handleHistoryAction(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const entry = loadHistory().find(({ id }) => id === button.dataset.id);
+    if (!entry) return;
+    if (button.dataset.action === 'open') {
+        showRecord(entry.record);
+    } else {
+        removeFromHistory(entry.id);
+        refreshHistory();
+        compareBtn.focus();
+    }
+}
+
+/**
+ * Compares the two selected past results, the earlier one first.
+ */
+function compareSelected() {
+    // The history lists the newest result first.
+    const [later, earlier] = loadHistory().filter(({ id }) => selectedHistoryIds.includes(id));
+    if (!earlier) return;
+    renderComparison(compareResults(earlier.record, later.record));
+}
+
+/**
+ * Replaces the item wording with a locale's translations, keeping the English wording of any
+ * item or field the translations leave out.
+ * @param {Object|null} translations - The item translations returned by `loadLocale`.
+ */
+function useItemTranslations(translations) {
+    const { questions, problems } = localizeItemBank(baseQuestions, translations);
+    problems.forEach(problem => console.warn(`Item translations (${getLocale()}): ${problem}`));
+    allQuestions = questions;
+}
+
+/**
+ * Switches the page and the item wording to another language and remembers the choice.
+ * The switcher is only offered on the welcome screen, so no session holds on to the old wording.
+ * If the language cannot be loaded, the current one stays active and the error is shown.
+ * @param {string} code - A key of LOCALE_CONFIG.
+ */
+async function changeLanguage(code) {
+    let translations;
+    try {
+        translations = await loadLocale(code);
+    } catch (error) {
+        console.error("Failed to change the language:", error);
+        languageSelect.value = getLocale();
+        welcomeError.textContent = t('welcome.languageFailed', { message: error.message });
+        return;
+    }
+    // Earlier messages are in the old language; only a failed bank check, which keeps the
+    // assessment from starting, stays on screen.
+    if (!startBtn.disabled) welcomeError.textContent = '';
+    saveLocale(code);
+    applyLocale(document);
+    useItemTranslations(translations);
+    offerResume();
 }
 
 /**
@@ -204,7 +700,12 @@ function submitQuiz() {
 function restartQuiz() {
     currentQuestionIndex = 0;
     userAnswers = {};
-    renderQuestion();
+    sessionQuestions = [];
+    processLog = createProcessLog();
+    clearSession();
+    resumePanel.hidden = true;
+    // Drop a share-link fragment so a reload starts fresh instead of reopening the shared result.
+    history.replaceState(null, '', `${location.pathname}${location.search}`);
     showScreen('welcome');
 }
 
@@ -213,25 +714,77 @@ function restartQuiz() {
  */
 async function init() {
     try {
+        const translations = await loadLocale(detectLocale());
+        applyLocale(document);
+        languageSelect.innerHTML = Object.entries(LOCALE_CONFIG)
+            .map(([code, { name }]) => `<option value="${code}" lang="${code}">${name}</option>`)
+            .join('');
+        languageSelect.value = getLocale();
+        languageSelect.addEventListener('change', () => changeLanguage(languageSelect.value));
+
         const response = await fetch('./questions.json');
-        const data = await response.json();
-        const mbtiQuestions = data.mbtiQuestions.map(q => ({...q, type: 'mbti' }));
-        const attitudeQuestions = data.attitudeQuestions.map(q => ({...q, type: 'attitude' }));
-        allQuestions = [...mbtiQuestions, ...attitudeQuestions];
-
-        startBtn.addEventListener('click', () => {
-            showScreen('quiz');
-            renderQuestion();
-        });
+        const bankText = await response.text();
+        bankVersion = computeBankVersion(bankText);
+        const data = JSON.parse(bankText);
+
+        // Refuse to run on an inconsistent bank rather than silently mis-scoring every result.
+        const audit = validateItemBank(data, itemParameters);
+        audit.warnings.forEach(issue => console.warn(`Item bank: ${issue.location}: ${issue.message}`));
+        if (!audit.valid) {
+            audit.errors.forEach(issue => console.error(`Item bank: ${issue.location}: ${issue.message}`));
+            startBtn.disabled = true;
+            importInput.disabled = true;
+            historyBtn.disabled = true;
+            welcomeError.textContent = tCount('welcome.bankInvalid', audit.errors.length, audit.errors[0]);
+            showScreen('welcome');
+            return;
+        }
+
+        // Every language shares the English bank's numbers, ids and scoring; only the wording is swapped.
+        baseQuestions = flattenItemBank(data);
+        useItemTranslations(translations);
+        jpToggle.disabled = !allQuestions.some(q => q.optional);
+
+        startBtn.addEventListener('click', startSession);
         nextBtn.addEventListener('click', handleNext);
         backBtn.addEventListener('click', handleBack);
         restartBtn.addEventListener('click', restartQuiz);
+        shareBtn.addEventListener('click', handleShare);
+        exportJsonBtn.addEventListener('click', () => {
+            downloadFile(recordToJson(currentRecord), exportFileName('json'), 'application/json');
+        });
+        exportCsvBtn.addEventListener('click', () => {
+            downloadFile(recordsToCsv([currentRecord], allQuestions), exportFileName('csv'), 'text/csv');
+        });
+        importInput.addEventListener('change', handleImport);
+        historyBtn.addEventListener('click', showHistory);
+        resultsHistoryBtn.addEventListener('click', showHistory);
+        historyList.addEventListener('change', handleHistorySelect);
+        historyList.addEventListener('click', handleHistoryAction);
+        compareBtn.addEventListener('click', compareSelected);
+        clearHistoryBtn.addEventListener('click', () => {
+            if (!confirm(t('history.confirmClear'))) return;
+            clearHistory();
+            refreshHistory();
+        });
+        historyBackBtn.addEventListener('click', () => showScreen(historyReturnScreen));
         questionContainer.addEventListener('change', handleAnswerSelect);
+        document.addEventListener('keydown', handleQuizKeydown);
+        resumeBtn.addEventListener('click', () => {
+            const saved = loadSession(bankVersion);
+            if (saved) resumeSession(saved);
+        });
+        startOverBtn.addEventListener('click', () => {
+            clearSession();
+            resumePanel.hidden = true;
+        });
 
+        if (openSharedResult()) return;
+        offerResume();
         showScreen('welcome');
     } catch (error) {
         console.error("Failed to load questions:", error);
-        questionContainer.innerHTML = "<p>Error: Could not load the assessment. Please try again later.</p>";
+        questionContainer.innerHTML = `<p>${t('welcome.loadFailed')}</p>`;
     }
 }
 
@@ -0,0 +1,171 @@
+// bankValidator.js: Consistency Audit of the Item Bank Against the Parameter Matrix
+//
+// The scorer links a forced-choice question to its 2PL parameters through the implicit rule
+// `itemParameters[number - 1]`, and reads the direction of every answer from the option's
+// `scoreKey`. An edit to questions.json that breaks either link does not fail loudly; it
+// silently mis-scores every protocol. This module checks the whole bank and reports every
+// problem it finds, so it can run both in the browser (before a session starts) and from
+// the command line (tools/validateBank.mjs).
+//
+// Issues have a severity: 'error' for anything that would make scoring wrong, 'warning' for
+// oddities that do not (e.g. a gap in the matrix numbering no question refers to).
+
+import { DICHOTOMY_CONFIG } from './scorer.js';
+import { COGNITIVE_FUNCTIONS } from './typologyModels.js';
+
+/**
+ * Checks one forced-choice question against the parameter matrix and the dichotomy definitions.
+ * @param {Object} q - The question as it appears in questions.json.
+ * @param {string} location - Where the question sits in the file, for messages.
+ * @param {Object} itemParameters - The 2PL parameter matrix, keyed by zero-based index.
+ * @param {Function} report - Callback taking (severity, location, message).
+ */
+function checkForcedChoiceItem(q, location, itemParameters, report) {
+    if (!Number.isInteger(q.number) || q.number < 1) {
+        report('error', location, `Invalid question number ${JSON.stringify(q.number)}; numbers must be positive integers.`);
+        return;
+    }
+
+    const config = DICHOTOMY_CONFIG[q.dichotomy];
+    if (!config) {
+        report('error', location, `Unknown dichotomy "${q.dichotomy}".`);
+    }
+
+    const entry = itemParameters[q.number - 1];
+    if (!entry) {
+        report('error', location, `No parameter matrix entry at index ${q.number - 1}; the item cannot be scored.`);
+    } else {
+        if (entry.dichotomy !== q.dichotomy) {
+            report('error', location, `Dichotomy "${q.dichotomy}" does not match the parameter matrix entry at index ${q.number - 1} ("${entry.dichotomy}").`);
+        }
+        const { a, b } = entry.params || {};
+        if (!(Number.isFinite(a) && a > 0) || !Number.isFinite(b)) {
+            report('error', location, `Parameter matrix entry ${q.number - 1} has invalid parameters (a = ${a}, b = ${b}); a must be positive and b finite.`);
+        }
+    }
+
+    const options = ['A', 'B'].map(key => q.options?.[key]);
+    if (options.some(option => !option)) {
+        report('error', location, 'Both options A and B are required.');
+        return;
+    }
+    const [optionA, optionB] = options;
+
+    if (config) {
+        options.forEach((option, i) => {
+            if (!config.poles.includes(option.pole)) {
+                report('error', location, `Option ${'AB'[i]} pole "${option.pole}" does not belong to dichotomy ${q.dichotomy}.`);
+            }
+        });
+    }
+    if (optionA.pole === optionB.pole) {
+        report('error', location, `Both options point to the same pole "${optionA.pole}".`);
+    }
+
+    const keys = [optionA.scoreKey, optionB.scoreKey];
+    if (!keys.every(key => key === 0 || key === 1) || keys[0] + keys[1] !== 1) {
+        report('error', location, `Score keys must be 0 and 1 complements (found ${keys.map(k => JSON.stringify(k)).join(' and ')}).`);
+    } else if (config) {
+        // The scorer reads theta > 0 as the first pole, so that pole must carry scoreKey 1.
+        const keyedOption = keys[0] === 1 ? optionA : optionB;
+        if (keyedOption.pole !== config.poles[0]) {
+            report('error', location, `scoreKey 1 is on pole "${keyedOption.pole}", but it must be on "${config.poles[0]}", the positive pole of ${q.dichotomy}.`);
+        }
+    }
+}
+
+/**
+ * Checks one attitude (Likert) question.
+ * A pair item contrasts construct1 with construct2, which may be any two different functions;
+ * a single-construct agreement item has construct1 only. Both may declare a positive `weight`
+ * and a boolean `reverseKeyed`.
+ * @param {Object} q - The question as it appears in questions.json.
+ * @param {string} location - Where the question sits in the file, for messages.
+ * @param {Function} report - Callback taking (severity, location, message).
+ */
+function checkAttitudeItem(q, location, report) {
+    if (typeof q.id !== 'string' || q.id === '') {
+        report('error', location, 'Attitude items need a non-empty string id.');
+    }
+    const constructs = q.construct2 === undefined ? [q.construct1] : [q.construct1, q.construct2];
+    const poles = constructs.map(construct => construct?.pole);
+    poles.forEach((pole, i) => {
+        if (!COGNITIVE_FUNCTIONS.includes(pole)) {
+            report('error', location, `construct${i + 1} pole "${pole}" is not a cognitive function.`);
+        }
+    });
+    if (poles.length === 2 && poles[0] === poles[1]) {
+        report('error', location, `Both constructs point to the same function "${poles[0]}".`);
+    }
+    if (q.constructPair !== undefined && q.constructPair !== poles.join('')) {
+        report('warning', location, `constructPair "${q.constructPair}" does not match its constructs (${poles.join(' / ')}).`);
+    }
+    if (q.weight !== undefined && !(Number.isFinite(q.weight) && q.weight > 0)) {
+        report('error', location, `Item weight ${JSON.stringify(q.weight)} must be a positive number.`);
+    }
+    if (q.reverseKeyed !== undefined && typeof q.reverseKeyed !== 'boolean') {
+        report('error', location, `reverseKeyed must be true or false (found ${JSON.stringify(q.reverseKeyed)}).`);
+    }
+}
+
+/**
+ * [PUBLIC] Audits a parsed questions.json against the parameter matrix.
+ * Reports every mismatch, gap and duplicate rather than stopping at the first.
+ * @param {Object} bank - The parsed questions.json ({ mbtiQuestions, jpQuestions?, attitudeQuestions }).
+ * @param {Object} itemParameters - The 2PL parameter matrix, keyed by zero-based index.
+ * @returns {Object} { valid, errors, warnings, issues }, where each issue is
+ *                   { severity, location, message } and `valid` is false if there is any error.
+ */
+export function validateItemBank(bank, itemParameters) {
+    const issues = [];
+    const report = (severity, location, message) => issues.push({ severity, location, message });
+
+    for (const section of ['mbtiQuestions', 'attitudeQuestions']) {
+        if (!Array.isArray(bank?.[section])) {
+            report('error', section, `The bank must contain a "${section}" array.`);
+        }
+    }
+    if (bank?.jpQuestions !== undefined && !Array.isArray(bank.jpQuestions)) {
+        report('error', 'jpQuestions', 'If present, "jpQuestions" must be an array.');
+    }
+    if (issues.length > 0) return { valid: false, errors: issues, warnings: [], issues };
+
+    // --- Forced-choice items (core bank and optional J-P block share one numbering) ---
+    const seenNumbers = new Map();
+    for (const section of ['mbtiQuestions', 'jpQuestions']) {
+        (bank[section] || []).forEach((q, i) => {
+            const location = `${section}[${i}] (question ${q.number})`;
+            if (seenNumbers.has(q.number)) {
+                report('error', location, `Duplicate question number ${q.number}, already used by ${seenNumbers.get(q.number)}.`);
+            } else {
+                seenNumbers.set(q.number, `${section}[${i}]`);
+            }
+            checkForcedChoiceItem(q, location, itemParameters, report);
+        });
+    }
+
+    // --- Attitude items ---
+    const seenIds = new Map();
+    bank.attitudeQuestions.forEach((q, i) => {
+        const location = `attitudeQuestions[${i}] (${q.id})`;
+        if (seenIds.has(q.id)) {
+            report('error', location, `Duplicate attitude id "${q.id}", already used by ${seenIds.get(q.id)}.`);
+        } else {
+            seenIds.set(q.id, `attitudeQuestions[${i}]`);
+        }
+        checkAttitudeItem(q, location, report);
+    });
+
+    // --- Parameter matrix numbering ---
+    const indices = Object.keys(itemParameters).map(Number).sort((x, y) => x - y);
+    const indexSet = new Set(indices);
+    for (let index = 0; index <= (indices.at(-1) ?? -1); index++) {
+        if (!indexSet.has(index)) {
+            report('warning', 'itemParameterMatrix', `Gap in the parameter matrix: there is no entry at index ${index}.`);
+        }
+    }
+
+    const errors = issues.filter(issue => issue.severity === 'error');
+    const warnings = issues.filter(issue => issue.severity === 'warning');
+    return { valid: errors.length === 0, errors, warnings, issues };
+}
@@ -0,0 +1,372 @@
+/**
+ * calibration.js: Offline 2PL Item Calibration from Collected Responses.
+ *
+ * Re-estimates the `a` (discrimination) and `b` (location) parameters of the forced-choice
+ * items from a local set of answer protocols, so the scorer can use parameters fitted to the
+ * population it is actually used with.
+ * 1.  **Marginal Maximum Likelihood via EM (Bock & Aitkin, 1981):** Each dichotomy is calibrated
+ *     separately. Theta is integrated out over a fixed standard-normal quadrature, which also
+ *     fixes the scale: the calibrated thetas are relative to the local sample (mean 0, SD 1).
+ *     The E-step accumulates expected response counts at each quadrature node; the M-step fits
+ *     each item by Newton-Raphson on its slope and intercept. Unanswered items are treated as
+ *     missing at random, so adaptive and partial protocols can be used as they are.
+ * 2.  **Fit Statistics:** Per dichotomy, the marginal log-likelihood with AIC and BIC. Per item,
+ *     a Yen's Q1-style chi-square comparing observed and model-implied endorsement rates across
+ *     groups of respondents ordered by their EAP theta from the other items.
+ * 3.  **Output:** A parameter matrix in the format of `itemParameterMatrix.js`. Items without
+ *     enough responses, and matrix entries no bank item refers to, keep their current parameters.
+ */
+
+import { DICHOTOMY_CONFIG, probability } from './scorer.js';
+
+// Default calibration settings. Any of these may be overridden per run.
+export const CALIBRATION_CONFIG = {
+    quadraturePoints: 41,
+    quadratureRange: 4,      // Nodes span -range..+range
+    maxIterations: 500,      // EM cycles per dichotomy
+    tolerance: 1e-4,         // EM stops when no parameter moves by more than this
+    minResponses: 100,       // Items with fewer responses keep their current parameters
+    fitGroups: 10,           // Theta groups for the item-fit chi-square
+    slopeBounds: [0.05, 8],  // Keeps the M-step away from degenerate (Heywood) solutions
+    locationBounds: [-6, 6]
+};
+
+// Newton-Raphson steps per item and M-step.
+const M_STEP_ITERATIONS = 10;
+
+/**
+ * Keeps a value within bounds.
+ * @param {number} value - The value.
+ * @param {Array<number>} bounds - [min, max].
+ * @returns {number} The clamped value.
+ */
+function clamp(value, [min, max]) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Builds the quadrature for a standard-normal latent distribution.
+ * @param {Object} config - The calibration settings.
+ * @returns {Object} { nodes, logWeights }, the weights normalized to sum to 1.
+ */
+function buildQuadrature(config) {
+    const nodes = [];
+    const weights = [];
+    for (let k = 0; k < config.quadraturePoints; k++) {
+        const x = -config.quadratureRange + (2 * config.quadratureRange * k) / (config.quadraturePoints - 1);
+        nodes.push(x);
+        weights.push(Math.exp(-x * x / 2));
+    }
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    return { nodes, logWeights: weights.map(w => Math.log(w / total)) };
+}
+
+/**
+ * Computes the log of a sum of exponentials without overflow.
+ * @param {Array<number>} values - The log-values.
+ * @returns {number} log(sum(exp(values))).
+ */
+function logSumExp(values) {
+    const max = Math.max(...values);
+    return max + Math.log(values.reduce((sum, v) => sum + Math.exp(v - max), 0));
+}
+
+/**
+ * Regularized lower incomplete gamma function P(s, x), used for chi-square p-values.
+ * Series expansion below s + 1, continued fraction above (Numerical Recipes, 6.2).
+ * @param {number} s - The shape.
+ * @param {number} x - The upper limit of integration.
+ * @returns {number} P(s, x).
+ */
+function regularizedGammaP(s, x) {
+    if (x <= 0) return 0;
+    const logGammaS = logGamma(s);
+    if (x < s + 1) {
+        let term = 1 / s;
+        let sum = term;
+        for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-14; n++) {
+            term *= x / (s + n);
+            sum += term;
+        }
+        return sum * Math.exp(-x + s * Math.log(x) - logGammaS);
+    }
+    let b = x + 1 - s;
+    let c = 1 / 1e-300;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 500; i++) {
+        const an = -i * (i - s);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < 1e-300) d = 1e-300;
+        c = b + an / c;
+        if (Math.abs(c) < 1e-300) c = 1e-300;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-14) break;
+    }
+    return 1 - Math.exp(-x + s * Math.log(x) - logGammaS) * h;
+}
+
+/**
+ * Natural logarithm of the gamma function (Lanczos approximation).
+ * @param {number} z - A positive number.
+ * @returns {number} ln(Gamma(z)).
+ */
+function logGamma(z) {
+    const g = 7;
+    const coefficients = [
+        0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+        -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+        1.5056327351493116e-7
+    ];
+    if (z < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * z)) - logGamma(1 - z);
+    const x = z - 1;
+    let sum = coefficients[0];
+    for (let i = 1; i < g + 2; i++) sum += coefficients[i] / (x + i);
+    const t = x + g + 0.5;
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+/**
+ * Gathers the scored (0/1) responses of one dichotomy from the protocols.
+ * @param {string} dichotomy - The dichotomy name.
+ * @param {Array} bankQuestions - The flattened item bank.
+ * @param {Object} itemParameters - The current parameter matrix.
+ * @param {Array<Object>} answerSets - One answer map per respondent.
+ * @returns {Object} { items: [{ index, number }], responses: Array<Array<0|1|null>> } with one
+ *                   response row per respondent who answered at least one of the items.
+ */
+function collectResponses(dichotomy, bankQuestions, itemParameters, answerSets) {
+    const questions = bankQuestions.filter(q => q.type === 'mbti' && itemParameters[q.number - 1]?.dichotomy === dichotomy);
+    const items = questions.map(q => ({ index: q.number - 1, number: q.number }));
+    const responses = [];
+    for (const answers of answerSets) {
+        const row = questions.map(q => {
+            const choice = answers[q.number];
+            return choice ? q.options[choice].scoreKey : null;
+        });
+        if (row.some(u => u !== null)) responses.push(row);
+    }
+    return { items, responses };
+}
+
+/**
+ * Computes each respondent's log-likelihood at every quadrature node.
+ * @param {Array<Array>} responses - The response rows.
+ * @param {Array<Object>} params - Per item { a, c } (slope and intercept).
+ * @param {Array<number>} nodes - The quadrature nodes.
+ * @returns {Array<Array<number>>} logL[i][k].
+ */
+function nodeLogLikelihoods(responses, params, nodes) {
+    const logP = params.map(({ a, c }) => nodes.map(x => -Math.log1p(Math.exp(-(a * x + c)))));
+    const logQ = params.map(({ a, c }) => nodes.map(x => -Math.log1p(Math.exp(a * x + c))));
+    return responses.map(row => nodes.map((x, k) => row.reduce((sum, u, j) => {
+        if (u === null) return sum;
+        return sum + (u === 1 ? logP[j][k] : logQ[j][k]);
+    }, 0)));
+}
+
+/**
+ * Runs the EM cycles for one dichotomy.
+ * @param {Array<Array>} responses - The response rows.
+ * @param {Array<Object>} start - Per item starting { a, c }.
+ * @param {Array<boolean>} estimate - Per item, whether it is re-estimated (else held fixed).
+ * @param {Object} quadrature - { nodes, logWeights }.
+ * @param {Object} config - The calibration settings.
+ * @returns {Object} { params, posteriors, logLikelihood, iterations, converged }.
+ */
+function runEm(responses, start, estimate, quadrature, config) {
+    const { nodes, logWeights } = quadrature;
+    const params = start.map(p => ({ ...p }));
+    let posteriors = [];
+    let logLikelihood = -Infinity;
+    let iterations = 0;
+    let converged = false;
+
+    while (iterations < config.maxIterations && !converged) {
+        iterations++;
+
+        // --- E-step: posterior weight of every node for every respondent ---
+        const logL = nodeLogLikelihoods(responses, params, nodes);
+        logLikelihood = 0;
+        posteriors = logL.map(row => {
+            const joint = row.map((l, k) => l + logWeights[k]);
+            const marginal = logSumExp(joint);
+            logLikelihood += marginal;
+            return joint.map(v => Math.exp(v - marginal));
+        });
+
+        // --- M-step: weighted logistic regression of each item on the nodes ---
+        let largestChange = 0;
+        params.forEach((p, j) => {
+            if (!estimate[j]) return;
+            const n = nodes.map(() => 0);
+            const r = nodes.map(() => 0);
+            responses.forEach((row, i) => {
+                if (row[j] === null) return;
+                posteriors[i].forEach((w, k) => {
+                    n[k] += w;
+                    r[k] += w * row[j];
+                });
+            });
+
+            let { a, c } = p;
+            for (let step = 0; step < M_STEP_ITERATIONS; step++) {
+                let ga = 0, gc = 0, haa = 0, hac = 0, hcc = 0;
+                nodes.forEach((x, k) => {
+                    const P = 1 / (1 + Math.exp(-(a * x + c)));
+                    const residual = r[k] - n[k] * P;
+                    const info = n[k] * P * (1 - P);
+                    ga += residual * x;
+                    gc += residual;
+                    haa += info * x * x;
+                    hac += info * x;
+                    hcc += info;
+                });
+                const det = haa * hcc - hac * hac;
+                if (!(det > 1e-12)) break;
+                const da = (hcc * ga - hac * gc) / det;
+                const dc = (haa * gc - hac * ga) / det;
+                a = clamp(a + da, config.slopeBounds);
+                c += dc;
+                if (Math.abs(da) < 1e-8 && Math.abs(dc) < 1e-8) break;
+            }
+            // Keep the location (b = -c / a) within its bounds as well.
+            c = -clamp(-c / a, config.locationBounds) * a;
+            largestChange = Math.max(largestChange, Math.abs(a - p.a), Math.abs(c - p.c));
+            params[j] = { a, c };
+        });
+        converged = largestChange < config.tolerance;
+    }
+    return { params, posteriors, logLikelihood, iterations, converged };
+}
+
+/**
+ * Computes the Q1-style item-fit chi-square for one item.
+ * Respondents who answered the item are ordered by EAP theta and split into groups; in each
+ * group the observed endorsement rate is compared with the model probability averaged over
+ * each respondent's posterior. Both use the posterior given the respondent's other answers
+ * only: under the model the item's response then has exactly that expectation, whereas a
+ * posterior that includes the response itself (or a shrunken EAP point estimate) would flag
+ * well-fitting items.
+ * @param {Array<Array>} responses - The response rows.
+ * @param {number} j - The item's column.
+ * @param {Object} param - The item's { a, b }.
+ * @param {Array<Array<number>>} posteriors - Each respondent's posterior weights over the nodes.
+ * @param {Array<number>} nodes - The quadrature nodes.
+ * @param {number} groupCount - The number of groups.
+ * @returns {Object|null} { chiSquare, df, pValue }, or null with too few respondents.
+ */
+function itemFit(responses, j, param, posteriors, nodes, groupCount) {
+    const nodeProbabilities = nodes.map(x => probability(x, param.a, param.b));
+    const answered = [];
+    responses.forEach((row, i) => {
+        const u = row[j];
+        if (u === null) return;
+        // Divide the item's own likelihood back out of the posterior.
+        const rest = posteriors[i].map((w, k) => w / (u === 1 ? nodeProbabilities[k] : 1 - nodeProbabilities[k]));
+        const total = rest.reduce((sum, w) => sum + w, 0);
+        answered.push({
+            u,
+            theta: rest.reduce((sum, w, k) => sum + w * nodes[k], 0) / total,
+            expected: rest.reduce((sum, w, k) => sum + w * nodeProbabilities[k], 0) / total
+        });
+    });
+    answered.sort((x, y) => x.theta - y.theta);
+    if (answered.length < groupCount * 5) return null;
+
+    let chiSquare = 0;
+    for (let g = 0; g < groupCount; g++) {
+        const group = answered.slice(Math.floor(g * answered.length / groupCount), Math.floor((g + 1) * answered.length / groupCount));
+        const observed = group.reduce((sum, { u }) => sum + u, 0) / group.length;
+        const expected = group.reduce((sum, item) => sum + item.expected, 0) / group.length;
+        chiSquare += group.length * Math.pow(observed - expected, 2) / Math.max(expected * (1 - expected), 1e-10);
+    }
+    const df = groupCount - 2;
+    return { chiSquare, df, pValue: 1 - regularizedGammaP(df / 2, chiSquare / 2) };
+}
+
+/**
+ * Rounds a number to four decimals, the precision of the published matrix.
+ * @param {number} value - The value.
+ * @returns {number} The rounded value.
+ */
+function round4(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * [PUBLIC] Calibrates the forced-choice items of every dichotomy from a set of protocols.
+ * @param {Array} bankQuestions - The flattened item bank (see `flattenItemBank`).
+ * @param {Object} itemParameters - The current parameter matrix; used as starting values and
+ *                                  kept for items that are not re-estimated.
+ * @param {Array<Object>} answerSets - One answer map (keyed by question number) per respondent.
+ * @param {Object} [overrides] - Partial overrides for CALIBRATION_CONFIG.
+ * @returns {Object} { itemParameters, dichotomies, items } - the new matrix; per dichotomy
+ *                   { respondents, items, logLikelihood, aic, bic, iterations, converged }; and
+ *                   per calibrated bank item { number, dichotomy, responses, endorsement, calibrated,
+ *                   previous: { a, b }, params: { a, b }, fit }.
+ */
+export function calibrateItems(bankQuestions, itemParameters, answerSets, overrides = {}) {
+    const config = { ...CALIBRATION_CONFIG, ...overrides };
+    const quadrature = buildQuadrature(config);
+    const calibrated = JSON.parse(JSON.stringify(itemParameters));
+    const dichotomies = {};
+    const items = [];
+
+    for (const dichotomy of Object.keys(DICHOTOMY_CONFIG)) {
+        const { items: dichotomyItems, responses } = collectResponses(dichotomy, bankQuestions, itemParameters, answerSets);
+        if (dichotomyItems.length === 0 || responses.length === 0) continue;
+
+        const counts = dichotomyItems.map((item, j) => responses.filter(row => row[j] !== null).length);
+        const estimate = counts.map(count => count >= config.minResponses);
+        const start = dichotomyItems.map(({ index }) => {
+            const { a, b } = itemParameters[index].params;
+            return { a, c: -a * b };
+        });
+        const { params, posteriors, logLikelihood, iterations, converged } = runEm(responses, start, estimate, quadrature, config);
+
+        const freeParameters = 2 * estimate.filter(Boolean).length;
+        dichotomies[dichotomy] = {
+            respondents: responses.length,
+            items: dichotomyItems.length,
+            calibratedItems: estimate.filter(Boolean).length,
+            logLikelihood,
+            aic: -2 * logLikelihood + 2 * freeParameters,
+            bic: -2 * logLikelihood + Math.log(responses.length) * freeParameters,
+            iterations,
+            converged
+        };
+
+        dichotomyItems.forEach(({ index, number }, j) => {
+            const previous = itemParameters[index].params;
+            const fitted = { a: round4(params[j].a), b: round4(-params[j].c / params[j].a) };
+            if (estimate[j]) calibrated[index].params = fitted;
+            const endorsed = responses.reduce((sum, row) => sum + (row[j] === 1 ? 1 : 0), 0);
+            items.push({
+                number,
+                dichotomy,
+                responses: counts[j],
+                endorsement: counts[j] > 0 ? endorsed / counts[j] : null,
+                calibrated: estimate[j],
+                previous: { ...previous },
+                params: estimate[j] ? fitted : { ...previous },
+                fit: itemFit(responses, j, estimate[j] ? fitted : previous, posteriors, quadrature.nodes, config.fitGroups)
+            });
+        });
+    }
+    return { itemParameters: calibrated, dichotomies, items };
+}
+
+/**
+ * [PUBLIC] Serializes a parameter matrix as an ES module in the format of `itemParameterMatrix.js`.
+ * @param {Object} itemParameters - The parameter matrix.
+ * @param {Array<string>} headerLines - Lines for the doc comment describing the calibration.
+ * @returns {string} The module source.
+ */
+export function formatParameterMatrix(itemParameters, headerLines) {
+    const header = ['/**', ' * itemParameterMatrix.js', ' *', ...headerLines.map(line => ` * ${line}`.trimEnd()), ' */'].join('\n');
+    return `${header}\nexport const itemParameters = ${JSON.stringify(itemParameters, null, 4)};\n`;
+}
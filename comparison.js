@@ -0,0 +1,104 @@
+// comparison.js: Change Over Time Between Two Results
+//
+// Compares two result records of the same respondent, e.g. before and after a training
+// programme. A dichotomy's theta moves a little between any two runs through measurement error
+// alone, so a shift is only reported as a real change when it exceeds what the two standard
+// errors together would explain: z = (θ₂ − θ₁) / √(SE₁² + SE₂²), compared with the two-sided
+// critical value at the chosen confidence level (1.96 at 95%).
+
+import { DICHOTOMY_CONFIG, normalQuantile } from './scorer.js';
+
+export const COMPARISON_CONFIG = {
+    confidenceLevel: 0.95,       // Coverage of the test of a theta shift against measurement error
+    topTypeChanges: 5,           // Number of type-score changes listed, largest first
+    strengthChangeEpsilon: 1e-9  // Normalized function-strength changes smaller than this count as none
+};
+
+// Settings that change what a result means; a comparison across them is flagged, not refused.
+const COMPARABILITY_CHECKS = {
+    engineVersion: record => record.engineVersion,
+    bankVersion: record => record.bankVersion,
+    estimator: record => record.result.estimation?.estimator ?? record.settings?.estimator,
+    scoringProfile: record => record.result.scoringProfile,
+    typologyModel: record => record.result.typologyModel
+};
+
+/**
+ * Compares one dichotomy across the two results.
+ * @param {Object|undefined} earlier - The dichotomy in the earlier result, if it was measured.
+ * @param {Object|undefined} later - The dichotomy in the later result, if it was measured.
+ * @param {number} criticalZ - The two-sided critical value of the shift test.
+ * @returns {Object} { earlier, later, shift, seDifference, z, exceedsError, preferenceChanged };
+ *                   the statistics are null when either run lacks the dichotomy or a finite estimate.
+ */
+function compareDichotomy(earlier, later, criticalZ) {
+    const summarize = d => (d ? { theta: d.theta, standardError: d.standardError, pci: d.pci, preference: d.preference, indeterminate: d.indeterminate } : null);
+    const comparison = { earlier: summarize(earlier), later: summarize(later), shift: null, seDifference: null, z: null, exceedsError: null, preferenceChanged: null };
+    if (!earlier || !later) return comparison;
+
+    comparison.preferenceChanged = earlier.preference !== later.preference;
+    // Under MLE a dichotomy with no answered items has an infinite SE, which supports no test.
+    if (![earlier.theta, later.theta, earlier.standardError, later.standardError].every(Number.isFinite)) return comparison;
+
+    comparison.shift = later.theta - earlier.theta;
+    comparison.seDifference = Math.sqrt(earlier.standardError ** 2 + later.standardError ** 2);
+    comparison.z = comparison.seDifference > 0 ? comparison.shift / comparison.seDifference : null;
+    comparison.exceedsError = comparison.z !== null && Math.abs(comparison.z) > criticalZ;
+    return comparison;
+}
+
+/**
+ * [PUBLIC] Compares two result records, e.g. two runs of the same respondent.
+ * @param {Object} earlierRecord - The earlier result record.
+ * @param {Object} laterRecord - The later result record.
+ * @param {Object} [options] - Optional comparison settings.
+ * @param {number} [options.confidenceLevel=0.95] - Coverage of the shift test against measurement error.
+ * @returns {Object} { earlier, later, typeChanged, changedLetters, confidenceLevel, dichotomies,
+ *                   typeScoreChanges, functionStrengthChanges, caveats }.
+ */
+export function compareResults(earlierRecord, laterRecord, options = {}) {
+    const { confidenceLevel = COMPARISON_CONFIG.confidenceLevel } = options;
+    const criticalZ = normalQuantile(1 - (1 - confidenceLevel) / 2);
+    const earlier = earlierRecord.result;
+    const later = laterRecord.result;
+
+    const earlierLetters = [...earlier.finalType];
+    const changedLetters = [...later.finalType].filter((letter, i) => letter !== earlierLetters[i]);
+
+    const dichotomies = {};
+    for (const name of Object.keys(DICHOTOMY_CONFIG)) {
+        if (!earlier.dichotomies[name] && !later.dichotomies[name]) continue;
+        dichotomies[name] = compareDichotomy(earlier.dichotomies[name], later.dichotomies[name], criticalZ);
+    }
+
+    // Types of a different typology model may not match up; only shared types are compared.
+    const typeScoreChanges = Object.keys(later.allTypeScores)
+        .filter(type => type in earlier.allTypeScores)
+        .map(type => ({ type, earlier: earlier.allTypeScores[type], later: later.allTypeScores[type], change: later.allTypeScores[type] - earlier.allTypeScores[type] }))
+        .sort((x, y) => Math.abs(y.change) - Math.abs(x.change))
+        .slice(0, COMPARISON_CONFIG.topTypeChanges);
+
+    const functionStrengthChanges = Object.keys(later.functionStrengths.normalized)
+        .map(fn => ({ function: fn, earlier: earlier.functionStrengths.normalized[fn] ?? 0, later: later.functionStrengths.normalized[fn] }))
+        .map(entry => ({ ...entry, change: entry.later - entry.earlier }))
+        .filter(entry => Math.abs(entry.change) > COMPARISON_CONFIG.strengthChangeEpsilon)
+        .sort((x, y) => Math.abs(y.change) - Math.abs(x.change));
+
+    const caveats = Object.entries(COMPARABILITY_CHECKS)
+        .filter(([, get]) => get(earlierRecord) !== get(laterRecord))
+        .map(([key, get]) => ({ key, earlier: get(earlierRecord) ?? null, later: get(laterRecord) ?? null }));
+    const flagged = [earlierRecord, laterRecord].map(record => Boolean(record.validity?.flagged));
+    if (flagged.some(Boolean)) caveats.push({ key: 'validity', earlier: flagged[0], later: flagged[1] });
+
+    return {
+        earlier: { type: earlier.finalType, completedAt: earlierRecord.completedAt },
+        later: { type: later.finalType, completedAt: laterRecord.completedAt },
+        typeChanged: earlier.finalType !== later.finalType,
+        changedLetters, // Letters of the later type that differ from the earlier type
+        confidenceLevel,
+        dichotomies, // Per-dichotomy shift and its test against the combined standard error
+        typeScoreChanges, // The largest fit-score changes, largest first
+        functionStrengthChanges, // Normalized function-strength changes, largest first
+        caveats // Settings that differ between the runs ({ key, earlier, later }), and flagged validity
+    };
+}
@@ -0,0 +1,77 @@
+// csv.js: Minimal RFC 4180 CSV Reading and Writing
+
+/**
+ * Quotes a single CSV field when it contains a delimiter, quote or line break.
+ * @param {*} value - The field value; null and undefined become empty fields.
+ * @returns {string} The encoded field.
+ */
+function encodeField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * [PUBLIC] Serializes rows of objects as CSV with a header line.
+ * @param {Array<string>} columns - The column names, in output order.
+ * @param {Array<Object>} rows - The rows, keyed by column name.
+ * @returns {string} The CSV text, using CRLF line endings as RFC 4180 specifies.
+ */
+export function toCsv(columns, rows) {
+    const lines = [columns.map(encodeField).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => encodeField(row[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * [PUBLIC] Parses CSV text with a header line into row objects.
+ * Quoted fields may contain commas, doubled quotes and line breaks. Blank lines are skipped.
+ * @param {string} text - The CSV text.
+ * @returns {Array<Object>} One object per data row, keyed by the header's column names.
+ * @throws {Error} If a quoted field is not terminated.
+ */
+export function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (inQuotes) throw new Error('Malformed CSV: a quoted field is not terminated.');
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const nonBlank = records.filter(r => r.length > 1 || r[0] !== '');
+    if (nonBlank.length === 0) return [];
+    const [header, ...data] = nonBlank;
+    return data.map(values => Object.fromEntries(header.map((column, i) => [column, values[i] ?? ''])));
+}
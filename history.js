@@ -0,0 +1,82 @@
+// history.js: Local History of Completed Results
+//
+// Every completed assessment is kept as a full result record, so that earlier runs can be
+// reopened and compared with later ones (e.g. before and after a training programme). The
+// history lives in localStorage on this device only; it is never sent anywhere.
+
+import { recordToJson, parseResultJson } from './resultRecord.js';
+
+// localStorage key under which the history is kept.
+const HISTORY_STORAGE_KEY = 'dat-h.history';
+
+export const HISTORY_CONFIG = {
+    maxEntries: 50 // Oldest results are dropped beyond this many (a record takes roughly 20 kB)
+};
+
+/**
+ * [PUBLIC] Loads the saved history.
+ * An unreadable history is discarded, as are entries that are not result records.
+ * @returns {Array<Object>} The entries ({ id, record }), newest first.
+ */
+export function loadHistory() {
+    try {
+        const raw = localStorage.getItem(HISTORY_STORAGE_KEY);
+        if (!raw) return [];
+        // Each record is stored as its JSON export, which keeps infinite values intact.
+        return JSON.parse(raw).flatMap(({ id, record }) => {
+            try {
+                return [{ id, record: parseResultJson(record) }];
+            } catch (error) {
+                console.warn(`Dropping unreadable history entry ${id}:`, error);
+                return [];
+            }
+        });
+    } catch (error) {
+        console.warn("Discarding an unreadable result history:", error);
+        clearHistory();
+        return [];
+    }
+}
+
+/**
+ * Saves the history. Storage failures are logged and otherwise ignored, as for sessions.
+ * @param {Array<Object>} entries - The entries ({ id, record }), newest first.
+ */
+function saveHistory(entries) {
+    try {
+        const stored = entries.map(({ id, record }) => ({ id, record: recordToJson(record, 0) }));
+        localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(stored));
+    } catch (error) {
+        console.warn("Could not save the result history:", error);
+    }
+}
+
+/**
+ * [PUBLIC] Adds a completed result to the history, dropping the oldest beyond the limit.
+ * @param {Object} record - A result record built by `buildResultRecord`.
+ * @returns {string} The id of the new entry.
+ */
+export function addToHistory(record) {
+    const id = `${Date.now().toString(36)}-${Math.floor(Math.random() * 36 ** 4).toString(36)}`;
+    saveHistory([{ id, record }, ...loadHistory()].slice(0, HISTORY_CONFIG.maxEntries));
+    return id;
+}
+
+/**
+ * [PUBLIC] Removes one result from the history.
+ * @param {string} id - The id of the entry.
+ */
+export function removeFromHistory(id) {
+    saveHistory(loadHistory().filter(entry => entry.id !== id));
+}
+
+/**
+ * [PUBLIC] Removes every saved result.
+ */
+export function clearHistory() {
+    try {
+        localStorage.removeItem(HISTORY_STORAGE_KEY);
+    } catch (error) {
+        console.warn("Could not clear the result history:", error);
+    }
+}
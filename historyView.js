@@ -0,0 +1,169 @@
+// historyView.js: Rendering of the Result History and the Comparison of Two Results
+
+import { getLocale, t, tCount } from './i18n.js';
+import { escapeHtml } from './html.js';
+
+// --- DOM Element References ---
+const historyList = document.getElementById('history-list');
+const historyEmpty = document.getElementById('history-empty');
+const compareBtn = document.getElementById('compare-btn');
+const clearHistoryBtn = document.getElementById('clear-history-btn');
+const comparisonBox = document.getElementById('comparison-box');
+
+/**
+ * Formats a signed number for display.
+ * @param {number} value - The value to format.
+ * @param {number} [digits=2] - Decimal places.
+ * @returns {string} The formatted value (e.g., '+0.84', '-1.20', '+∞').
+ */
+function formatSigned(value, digits = 2) {
+    if (!Number.isFinite(value)) return value > 0 ? '+∞' : '-∞';
+    return `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+}
+
+/**
+ * Formats a timestamp as a date and time in the active locale.
+ * @param {string|null} timestamp - An ISO timestamp.
+ * @returns {string} The formatted date, or a placeholder when the time is unknown.
+ */
+function formatDate(timestamp) {
+    const date = new Date(timestamp);
+    if (!timestamp || Number.isNaN(date.getTime())) return t('history.unknownDate');
+    return new Intl.DateTimeFormat(getLocale(), { dateStyle: 'medium', timeStyle: 'short' }).format(date);
+}
+
+/**
+ * [PUBLIC] Lists the saved results, newest first, each with a checkbox to select it for comparison
+ * and buttons to open or delete it. The buttons carry the entry's id in `data-id`.
+ * @param {Array<Object>} entries - The history entries ({ id, record }), newest first.
+ * @param {Array<string>} selectedIds - The ids of the entries selected for comparison.
+ */
+export function renderHistoryList(entries, selectedIds) {
+    historyEmpty.hidden = entries.length > 0;
+    clearHistoryBtn.disabled = entries.length === 0;
+    compareBtn.disabled = selectedIds.length !== 2;
+    historyList.innerHTML = entries.map(({ id, record }) => {
+        // Entries are read back from storage, so every stored value is escaped.
+        const type = escapeHtml(record.result.finalType);
+        const date = escapeHtml(formatDate(record.completedAt || record.exportedAt));
+        const entryId = escapeHtml(id);
+        return `
+            <li class="history-entry${selectedIds.includes(id) ? ' selected' : ''}">
+                <label class="history-select">
+                    <input type="checkbox" data-id="${entryId}" ${selectedIds.includes(id) ? 'checked' : ''}>
+                    <span class="history-type">${type}</span>
+                    <span class="history-date">${date}</span>
+                </label>
+                <span class="history-actions">
+                    <button type="button" class="btn btn-secondary" data-action="open" data-id="${entryId}"
+                            aria-label="${t('history.openLabel', { type, date })}">${t('history.open')}</button>
+                    <button type="button" class="btn btn-secondary" data-action="delete" data-id="${entryId}"
+                            aria-label="${t('history.deleteLabel', { type, date })}">${t('history.delete')}</button>
+                </span>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Describes a dichotomy estimate of one run, e.g. 'I, θ -0.84 ± 0.31'.
+ * @param {Object|null} d - The run's summary of the dichotomy.
+ * @returns {string} The description, or a dash when the run did not measure the dichotomy.
+ */
+function describeEstimate(d) {
+    if (!d) return '–';
+    const standardError = Number.isFinite(d.standardError) ? d.standardError.toFixed(2) : '∞';
+    return `${d.indeterminate ? '?' : escapeHtml(d.preference)}, θ ${formatSigned(d.theta)} ± ${standardError}`;
+}
+
+/**
+ * Describes whether a dichotomy shift exceeds the measurement error of the two runs.
+ * @param {Object} d - A `dichotomies` entry of the comparison.
+ * @param {number} confidenceLevel - The coverage of the shift test.
+ * @returns {string} The verdict.
+ */
+function describeShift(d, confidenceLevel) {
+    if (!d.earlier || !d.later) return t('history.shift.notMeasured');
+    if (d.z === null) return t('history.shift.untestable');
+    const params = { shift: formatSigned(d.shift), z: formatSigned(d.z), level: Math.round(confidenceLevel * 100) };
+    return t(d.exceedsError ? 'history.shift.exceeds' : 'history.shift.withinError', params);
+}
+
+/**
+ * Describes why the two runs may not be directly comparable.
+ * @param {Object} caveat - A `caveats` entry of the comparison.
+ * @returns {string} The caveat.
+ */
+function describeCaveat(caveat) {
+    if (caveat.key === 'validity') {
+        const run = caveat.earlier && caveat.later ? 'both' : caveat.earlier ? 'earlier' : 'later';
+        return t(`history.caveat.validity.${run}`);
+    }
+    return t('history.caveat.setting', {
+        setting: t(`history.setting.${caveat.key}`),
+        earlier: escapeHtml(caveat.earlier ?? t('history.unknown')),
+        later: escapeHtml(caveat.later ?? t('history.unknown'))
+    });
+}
+
+/**
+ * [PUBLIC] Shows the comparison of two results side by side: the change of type, each dichotomy's
+ * shift tested against the measurement error, and the largest fit-score and function-strength changes.
+ * Hidden when `comparison` is null.
+ * @param {Object|null} comparison - The object returned by `compareResults`.
+ */
+export function renderComparison(comparison) {
+    comparisonBox.hidden = !comparison;
+    if (!comparison) {
+        comparisonBox.innerHTML = '';
+        return;
+    }
+    const { earlier, later, confidenceLevel } = comparison;
+    const typeChange = comparison.typeChanged
+        ? tCount('history.typeChanged', comparison.changedLetters.length, { letters: escapeHtml(comparison.changedLetters.join(', ')) })
+        : t('history.typeSame');
+    const dichotomyRows = Object.entries(comparison.dichotomies).map(([name, d]) => `
+        <tr class="${d.exceedsError ? 'exceeds-error' : ''}">
+            <th scope="row">${escapeHtml(name)}</th>
+            <td>${describeEstimate(d.earlier)}</td>
+            <td>${describeEstimate(d.later)}</td>
+            <td>${describeShift(d, confidenceLevel)}</td>
+        </tr>
+    `).join('');
+    const typeScores = comparison.typeScoreChanges.map(c => `
+        <li>${t('history.scoreChange', { type: escapeHtml(c.type), earlier: c.earlier.toFixed(2), later: c.later.toFixed(2), change: formatSigned(c.change) })}</li>
+    `).join('');
+    const strengths = comparison.functionStrengthChanges.map(c => `
+        <li>${t('history.strengthChange', {
+            function: escapeHtml(c.function),
+            earlier: Math.round(c.earlier * 100),
+            later: Math.round(c.later * 100),
+            change: formatSigned(Math.round(c.change * 100), 0)
+        })}</li>
+    `).join('');
+
+    comparisonBox.innerHTML = `
+        <h3 class="comparison-types">${t('history.typeTransition', { earlier: escapeHtml(earlier.type), later: escapeHtml(later.type) })}</h3>
+        <p class="comparison-dates">${t('history.comparedRuns', { earlier: escapeHtml(formatDate(earlier.completedAt)), later: escapeHtml(formatDate(later.completedAt)) })}</p>
+        <p class="comparison-type-change">${typeChange}</p>
+        <table class="comparison-table">
+            <thead>
+                <tr>
+                    <th scope="col">${t('history.dichotomy')}</th>
+                    <th scope="col">${t('history.earlier')}</th>
+                    <th scope="col">${t('history.later')}</th>
+                    <th scope="col">${t('history.change')}</th>
+                </tr>
+            </thead>
+            <tbody>${dichotomyRows}</tbody>
+        </table>
+        <p class="comparison-note">${t('history.errorNote', { level: Math.round(confidenceLevel * 100) })}</p>
+        <p><strong>${t('history.typeScores')}</strong></p>
+        <ul class="comparison-list">${typeScores}</ul>
+        <p><strong>${t('history.strengths')}</strong></p>
+        ${strengths ? `<ul class="comparison-list">${strengths}</ul>` : `<p>${t('history.noStrengthChanges')}</p>`}
+        ${comparison.caveats.length > 0 ? `
+            <ul class="comparison-caveats">${comparison.caveats.map(caveat => `<li>${describeCaveat(caveat)}</li>`).join('')}</ul>
+        ` : ''}
+    `;
+}
@@ -0,0 +1,17 @@
+// html.js: Escaping of Text Inserted Into HTML Templates
+//
+// The result screens are built from template strings. Anything they interpolate may come from
+// an imported file or a saved history entry rather than from the engine, so every value that is
+// not markup of our own is escaped before it reaches innerHTML.
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * [PUBLIC] Escapes a value for use as HTML text or as a quoted attribute value.
+ * @param {*} value - The value; null and undefined become an empty string.
+ * @returns {string} The escaped text.
+ */
+export function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
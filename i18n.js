@@ -0,0 +1,264 @@
+// i18n.js: UI String Catalogues, Translated Item Text and Text Direction
+//
+// UI strings live in one JSON catalogue per locale (locales/<code>.json), keyed by a dotted name
+// such as 'quiz.next'. A string missing from a catalogue falls back to the English one, and a
+// key missing from both is shown as is, so an incomplete translation never breaks the page.
+// Item translations (locales/questions.<code>.json) only replace the wording of items: numbers,
+// ids, poles and score keys always come from questions.json, so a translated item is scored
+// with exactly the same itemParameters entry as the English original. The same files name the
+// facets in the locale; those names are only used for display, and results keep the English
+// facet names of the bank so that exported data does not depend on the respondent's language.
+
+import { getQuestionId } from './protocol.js';
+
+// The supported locales, by BCP 47 language code: the name shown in the language switcher, the
+// text direction, and the path of the item translations (null while the items are English only).
+export const LOCALE_CONFIG = {
+    en: { name: 'English', dir: 'ltr', itemTranslations: null },  // questions.json itself is English
+    es: { name: 'Español', dir: 'ltr', itemTranslations: './locales/questions.es.json' },
+    ar: { name: 'العربية', dir: 'rtl', itemTranslations: './locales/questions.ar.json' }
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+// localStorage key under which the respondent's language choice is kept.
+const LOCALE_STORAGE_KEY = 'dat-h.locale';
+
+let activeLocale = DEFAULT_LOCALE;
+let activeStrings = {};
+let fallbackStrings = {};
+let activeFacetNames = {};
+
+/**
+ * Fetches and parses a JSON file relative to the page.
+ * @param {string} path - The file path.
+ * @returns {Promise<Object>} The parsed contents.
+ * @throws {Error} If the file cannot be fetched.
+ */
+async function fetchJson(path) {
+    const response = await fetch(path);
+    if (!response.ok) throw new Error(`Could not load ${path} (HTTP ${response.status}).`);
+    return response.json();
+}
+
+/**
+ * [PUBLIC] Picks the best supported locale for a list of preferred language tags.
+ * An exact match wins; otherwise the base language is tried (e.g. 'es-MX' selects 'es').
+ * @param {Array<string>} preferred - Language tags, most preferred first.
+ * @returns {string} A key of LOCALE_CONFIG.
+ */
+export function negotiateLocale(preferred) {
+    for (const tag of preferred.filter(Boolean)) {
+        const code = tag.toLowerCase();
+        if (LOCALE_CONFIG[code]) return code;
+        const base = code.split('-')[0];
+        if (LOCALE_CONFIG[base]) return base;
+    }
+    return DEFAULT_LOCALE;
+}
+
+/**
+ * [PUBLIC] Returns the locale to start with: the respondent's saved choice, else the browser's languages.
+ * @returns {string} A key of LOCALE_CONFIG.
+ */
+export function detectLocale() {
+    let saved = null;
+    try {
+        saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+    } catch (error) {
+        console.warn("Could not read the saved language:", error);
+    }
+    return negotiateLocale([saved, ...(navigator.languages || [navigator.language])]);
+}
+
+/**
+ * [PUBLIC] Remembers the respondent's language choice for later visits.
+ * @param {string} code - A key of LOCALE_CONFIG.
+ */
+export function saveLocale(code) {
+    try {
+        localStorage.setItem(LOCALE_STORAGE_KEY, code);
+    } catch (error) {
+        console.warn("Could not save the language:", error);
+    }
+}
+
+/**
+ * [PUBLIC] Loads the UI string catalogue of a locale and makes it the active one.
+ * The English catalogue is always loaded as well, as the fallback for missing strings.
+ * @param {string} code - A key of LOCALE_CONFIG.
+ * @returns {Promise<Object|null>} The locale's item translations, or null if it has none.
+ * @throws {Error} If the locale is unknown or the English catalogue cannot be loaded.
+ */
+export async function loadLocale(code) {
+    const config = LOCALE_CONFIG[code];
+    if (!config) throw new Error(`Unknown locale "${code}". Expected one of: ${Object.keys(LOCALE_CONFIG).join(', ')}.`);
+
+    if (Object.keys(fallbackStrings).length === 0) {
+        fallbackStrings = await fetchJson(`./locales/${DEFAULT_LOCALE}.json`);
+    }
+    let strings = fallbackStrings;
+    let translations = null;
+    if (code !== DEFAULT_LOCALE) {
+        // A missing or broken translation degrades to English rather than failing the page.
+        try {
+            strings = await fetchJson(`./locales/${code}.json`);
+            if (config.itemTranslations) translations = await fetchJson(config.itemTranslations);
+        } catch (error) {
+            console.warn(`Falling back to English for locale "${code}":`, error);
+        }
+    }
+    activeLocale = code;
+    activeStrings = strings;
+    activeFacetNames = translations?.facets || {};
+    return translations;
+}
+
+/**
+ * [PUBLIC] Returns the code of the active locale.
+ * @returns {string} A key of LOCALE_CONFIG.
+ */
+export function getLocale() {
+    return activeLocale;
+}
+
+/**
+ * [PUBLIC] Looks up a UI string in the active catalogue, falling back to English.
+ * `{name}` placeholders are replaced with the matching entry of `params`.
+ * @param {string} key - The string key, e.g. 'quiz.next'.
+ * @param {Object} [params] - Values for the placeholders.
+ * @returns {string} The translated string, or the key itself if no catalogue has it.
+ */
+export function t(key, params = {}) {
+    const template = activeStrings[key] ?? fallbackStrings[key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+/**
+ * [PUBLIC] Names a facet of the item bank in the active locale.
+ * @param {string} facet - The facet as named in questions.json (e.g. 'Practical / Conceptual').
+ * @returns {string} The translated name, or the English one if the locale's items do not name it.
+ */
+export function translateFacet(facet) {
+    const name = activeFacetNames[facet];
+    return typeof name === 'string' && name.trim() !== '' ? name : facet;
+}
+
+/**
+ * [PUBLIC] Looks up a UI string whose wording depends on a count.
+ * The key is suffixed with the locale's plural category ('one', 'few', 'other', ...), and the
+ * 'other' form is used when a catalogue does not list the category. `{count}` is filled in.
+ * @param {string} key - The string key without the plural suffix.
+ * @param {number} count - The number the wording depends on.
+ * @param {Object} [params] - Values for further placeholders.
+ * @returns {string} The translated string.
+ */
+export function tCount(key, count, params = {}) {
+    const category = new Intl.PluralRules(activeLocale).select(count);
+    // Take every form from one catalogue, so a translation that only lists 'other' is not mixed with English forms.
+    const strings = `${key}.other` in activeStrings ? activeStrings : fallbackStrings;
+    const form = `${key}.${category}` in strings ? category : 'other';
+    return t(`${key}.${form}`, { ...params, count });
+}
+
+/**
+ * [PUBLIC] Applies the active locale to the page: the `lang` and `dir` attributes of the root
+ * element, the text of every element with a `data-i18n` key, and the accessible name of every
+ * element with a `data-i18n-aria-label` key.
+ * @param {Document} doc - The document to translate.
+ */
+export function applyLocale(doc) {
+    doc.documentElement.lang = activeLocale;
+    doc.documentElement.dir = LOCALE_CONFIG[activeLocale].dir;
+    doc.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    doc.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+    });
+}
+
+/**
+ * Replaces a text field of an item with its translation, if one is given.
+ * @param {Object} target - The item (or option) to update.
+ * @param {string} field - The text field.
+ * @param {*} translation - The translated text.
+ * @param {string} location - Where the translation was found, for the report.
+ * @param {Array<string>} problems - Collects translations that could not be applied.
+ * @returns {boolean} True if the field was translated.
+ */
+function applyText(target, field, translation, location, problems) {
+    if (translation === undefined) return false;
+    if (target === undefined || !(field in target)) {
+        problems.push(`${location}: the item has no such text`);
+        return false;
+    }
+    if (typeof translation !== 'string' || translation.trim() === '') {
+        problems.push(`${location}: must be a non-empty string`);
+        return false;
+    }
+    target[field] = translation;
+    return true;
+}
+
+/**
+ * [PUBLIC] Applies item translations to the flattened item bank.
+ * Translations are keyed by question number or attitude id; each entry may give `question` and
+ * `options` ({ A, B }) for a forced-choice item, or `text`, `construct1` and `construct2` for an
+ * attitude item. Only wording is replaced, so the items keep their scoring. An item without a
+ * translation, or a field left out, keeps its English wording. The `facets` entries, keyed by the
+ * English facet name, are checked here but applied by `translateFacet`, not to the items.
+ * @param {Array} bankQuestions - The flattened item bank (see `flattenItemBank`).
+ * @param {Object|null} translations - The contents of a locales/questions.<code>.json file.
+ * @returns {Object} { questions, untranslated, problems } - the localized bank, the ids of items
+ *                   left (partly) in English, and translations that could not be applied.
+ */
+export function localizeItemBank(bankQuestions, translations) {
+    const entries = translations?.items || {};
+    const problems = [];
+    const untranslated = [];
+    const known = new Set();
+
+    const questions = bankQuestions.map(q => {
+        const id = String(getQuestionId(q));
+        known.add(id);
+        const entry = entries[id];
+        if (!entry) {
+            untranslated.push(id);
+            return q;
+        }
+        const localized = { ...q };
+        let complete;
+        if (q.type === 'mbti') {
+            localized.options = { A: { ...q.options.A }, B: { ...q.options.B } };
+            // Part II items are bare word pairs without a question stem.
+            const questionDone = applyText(localized, 'question', entry.question, `${id}.question`, problems) || q.question === undefined;
+            const optionsDone = ['A', 'B'].map(key => applyText(localized.options[key], 'text', entry.options?.[key], `${id}.options.${key}`, problems));
+            complete = questionDone && optionsDone.every(Boolean);
+        } else {
+            // An agreement item has no construct2, and its construct1 needs no description.
+            localized.construct1 = { ...q.construct1 };
+            if (q.construct2) localized.construct2 = { ...q.construct2 };
+            complete = [
+                applyText(localized, 'text', entry.text, `${id}.text`, problems),
+                applyText(localized.construct1, 'description', entry.construct1, `${id}.construct1`, problems) || q.construct1.description === undefined,
+                applyText(localized.construct2, 'description', entry.construct2, `${id}.construct2`, problems) || q.construct2?.description === undefined
+            ].every(Boolean);
+        }
+        if (!complete) untranslated.push(id);
+        return localized;
+    });
+
+    for (const id of Object.keys(entries)) {
+        if (!known.has(id)) problems.push(`${id}: no item with this number or id in questions.json`);
+    }
+    const facets = new Set(bankQuestions.map(q => q.facet).filter(Boolean));
+    for (const [facet, name] of Object.entries(translations?.facets || {})) {
+        if (!facets.has(facet)) {
+            problems.push(`facets.${facet}: no item of questions.json has this facet`);
+        } else if (typeof name !== 'string' || name.split('/').length !== facet.split('/').length || name.split('/').some(pole => pole.trim() === '')) {
+            problems.push(`facets.${facet}: must name the same poles, separated by '/'`);
+        }
+    }
+    return { questions, untranslated, problems };
+}
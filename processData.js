@@ -0,0 +1,162 @@
+// processData.js: Per-Item Response Timing and Answer-Change Tracking
+//
+// Besides the final answers, a session produces process data: how long each item took,
+// how often an answer was revised, and when the respondent went back to an earlier item.
+// The log is a plain object so it can be persisted with the session and exported with the
+// result. All times are in milliseconds; the clock can be injected for reproducibility.
+//
+// Log shape:
+//   items          - { qId: { visits, dwellMs, latencyMs, changes } }, where latencyMs is the
+//                    time from the first display of the item to its first answer (null until
+//                    answered) and changes counts every answer after the first
+//   backNavigations - [{ from, to, elapsedMs }], elapsedMs being active time since the start
+//   activeMs       - total time items were on screen
+//   current        - { qId, shownAt } for the item on screen, or null
+
+// Number of slowest items listed in the summary.
+const SLOWEST_ITEM_COUNT = 3;
+
+/**
+ * [PUBLIC] Creates an empty process log for a new session.
+ * @returns {Object} The log.
+ */
+export function createProcessLog() {
+    return { items: {}, backNavigations: [], activeMs: 0, current: null };
+}
+
+/**
+ * Returns the entry for an item, creating it on first use.
+ * @param {Object} log - The process log.
+ * @param {number|string} qId - The question number or attitude id.
+ * @returns {Object} The item's { visits, dwellMs, latencyMs, changes } entry.
+ */
+function itemEntry(log, qId) {
+    if (!log.items[qId]) {
+        log.items[qId] = { visits: 0, dwellMs: 0, latencyMs: null, changes: 0 };
+    }
+    return log.items[qId];
+}
+
+/**
+ * [PUBLIC] Ends the view of the item currently on screen and adds its time to the log.
+ * Called before another item is shown and when the session is submitted.
+ * @param {Object} log - The process log.
+ * @param {number} [now] - The current time in milliseconds since the epoch.
+ */
+export function closeItemView(log, now = Date.now()) {
+    if (!log.current) return;
+    const elapsed = Math.max(0, now - log.current.shownAt);
+    itemEntry(log, log.current.qId).dwellMs += elapsed;
+    log.activeMs += elapsed;
+    log.current = null;
+}
+
+/**
+ * [PUBLIC] Records that an item was put on screen, closing the previous view.
+ * Showing the item that is already on screen (e.g. after a re-render) does not count as a visit.
+ * @param {Object} log - The process log.
+ * @param {number|string} qId - The question number or attitude id.
+ * @param {number} [now] - The current time in milliseconds since the epoch.
+ */
+export function markItemShown(log, qId, now = Date.now()) {
+    if (log.current && log.current.qId === qId) return;
+    closeItemView(log, now);
+    itemEntry(log, qId).visits++;
+    log.current = { qId, shownAt: now };
+}
+
+/**
+ * [PUBLIC] Records an answer to the item on screen.
+ * The first answer fixes the item's latency; every later answer counts as a change.
+ * @param {Object} log - The process log.
+ * @param {number|string} qId - The question number or attitude id.
+ * @param {number} [now] - The current time in milliseconds since the epoch.
+ */
+export function recordAnswer(log, qId, now = Date.now()) {
+    const entry = itemEntry(log, qId);
+    if (entry.latencyMs === null) {
+        const onScreen = log.current && log.current.qId === qId ? now - log.current.shownAt : 0;
+        entry.latencyMs = entry.dwellMs + Math.max(0, onScreen);
+    } else {
+        entry.changes++;
+    }
+}
+
+/**
+ * [PUBLIC] Records a step back to an earlier item.
+ * @param {Object} log - The process log.
+ * @param {number|string} from - The item navigated away from.
+ * @param {number|string} to - The item navigated back to.
+ * @param {number} [now] - The current time in milliseconds since the epoch.
+ */
+export function recordBackNavigation(log, from, to, now = Date.now()) {
+    const onScreen = log.current ? Math.max(0, now - log.current.shownAt) : 0;
+    log.backNavigations.push({ from, to, elapsedMs: log.activeMs + onScreen });
+}
+
+/**
+ * Returns the median of a list of numbers.
+ * @param {Array<number>} values - The values.
+ * @returns {number|null} The median, or null for an empty list.
+ */
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((x, y) => x - y);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Names the facet an item belongs to, for grouping latencies.
+ * @param {Object} q - A question object.
+ * @returns {string} E.g. 'S-N: Practical / Conceptual' or 'TiTe'.
+ */
+function facetLabel(q) {
+    if (q.type === 'attitude') return q.constructPair || [q.construct1.pole, q.construct2?.pole].filter(Boolean).join('');
+    return q.facet ? `${q.dichotomy}: ${q.facet}` : q.dichotomy;
+}
+
+/**
+ * [PUBLIC] Summarizes a process log for display and export.
+ * @param {Object} log - The process log.
+ * @param {Array} questions - The item bank, used to group items by facet.
+ * @returns {Object} { answeredItems, activeMs, medianLatencyMs, changedItems, totalChanges,
+ *                   backNavigations, slowestItems: [{ qId, latencyMs }],
+ *                   facets: [{ facet, items, medianLatencyMs, changes }] }, facets sorted by
+ *                   descending median latency.
+ */
+export function summarizeProcessData(log, questions) {
+    const answered = Object.entries(log.items).filter(([, entry]) => entry.latencyMs !== null);
+    const questionsById = new Map(questions.map(q => [String(q.type === 'mbti' ? q.number : q.id), q]));
+
+    const facetGroups = new Map();
+    for (const [qId, entry] of answered) {
+        const q = questionsById.get(qId);
+        if (!q) continue;
+        const facet = facetLabel(q);
+        if (!facetGroups.has(facet)) facetGroups.set(facet, { latencies: [], changes: 0 });
+        facetGroups.get(facet).latencies.push(entry.latencyMs);
+        facetGroups.get(facet).changes += entry.changes;
+    }
+
+    return {
+        answeredItems: answered.length,
+        activeMs: log.activeMs,
+        medianLatencyMs: median(answered.map(([, entry]) => entry.latencyMs)),
+        changedItems: answered.filter(([, entry]) => entry.changes > 0).length,
+        totalChanges: answered.reduce((sum, [, entry]) => sum + entry.changes, 0),
+        backNavigations: log.backNavigations.length,
+        slowestItems: answered
+            .map(([qId, entry]) => ({ qId, latencyMs: entry.latencyMs }))
+            .sort((x, y) => y.latencyMs - x.latencyMs)
+            .slice(0, SLOWEST_ITEM_COUNT),
+        facets: [...facetGroups.entries()]
+            .map(([facet, group]) => ({
+                facet,
+                items: group.latencies.length,
+                medianLatencyMs: median(group.latencies),
+                changes: group.changes
+            }))
+            .sort((x, y) => y.medianLatencyMs - x.medianLatencyMs)
+    };
+}
@@ -0,0 +1,159 @@
+// protocol.js: Scoring a Complete Answer Protocol Against the Item Bank
+//
+// Shared by the browser UI and the Node tools, so that a protocol scored from the command line
+// goes through exactly the same steps as one completed in the browser: the same flattening of
+// questions.json, the same answer checks, the same engine call and the same validity screening.
+
+import { calculateHybridResults } from './scorer.js';
+import { assessValidity } from './validity.js';
+import { orderSessionItems } from './randomization.js';
+
+const FORCED_CHOICE_VALUES = ['A', 'B'];
+const LIKERT_VALUES = ['1', '2', '3', '4', '5'];
+
+/**
+ * [PUBLIC] Returns the key under which a question's answer is stored.
+ * @param {Object} q - A question object.
+ * @returns {number|string} The question number for forced-choice items, the id for attitude items.
+ */
+export function getQuestionId(q) {
+    return q.type === 'mbti' ? q.number : q.id;
+}
+
+/**
+ * [PUBLIC] Flattens a parsed questions.json into a single list in bank order: the core
+ * forced-choice items, then the optional J-P block, then the attitude items.
+ * @param {Object} data - The parsed questions.json.
+ * @returns {Array} The questions, each tagged with its `type` ('mbti' or 'attitude') and,
+ *                  for the J-P block, `optional: true`.
+ */
+export function flattenItemBank(data) {
+    const mbtiQuestions = data.mbtiQuestions.map(q => ({...q, type: 'mbti' }));
+    const jpQuestions = (data.jpQuestions || []).map(q => ({...q, type: 'mbti', optional: true }));
+    const attitudeQuestions = data.attitudeQuestions.map(q => ({...q, type: 'attitude' }));
+    return [...mbtiQuestions, ...jpQuestions, ...attitudeQuestions];
+}
+
+/**
+ * [PUBLIC] Checks an answer map against the bank and normalizes its values to strings.
+ * Answers may be given as strings or numbers (e.g. 4 for a Likert item).
+ * @param {Array} bankQuestions - The flattened item bank.
+ * @param {Object} answers - Answers keyed by question number or attitude id.
+ * @returns {Object} The normalized answers; blank values are dropped.
+ * @throws {Error} Listing every unknown question and invalid value.
+ */
+export function normalizeAnswers(bankQuestions, answers) {
+    const questionsById = new Map(bankQuestions.map(q => [String(getQuestionId(q)), q]));
+    const normalized = {};
+    const problems = [];
+    for (const [key, raw] of Object.entries(answers || {})) {
+        if (raw === null || raw === undefined || raw === '') continue;
+        const q = questionsById.get(key);
+        const value = String(raw).trim().toUpperCase();
+        if (!q) {
+            problems.push(`unknown question "${key}"`);
+        } else if (!(q.type === 'mbti' ? FORCED_CHOICE_VALUES : LIKERT_VALUES).includes(value)) {
+            problems.push(`invalid answer "${raw}" for question ${key} (expected ${q.type === 'mbti' ? 'A or B' : '1-5'})`);
+        } else {
+            normalized[getQuestionId(q)] = value;
+        }
+    }
+    if (problems.length > 0) {
+        throw new Error(`Invalid answers: ${problems.join('; ')}.`);
+    }
+    return normalized;
+}
+
+/**
+ * [PUBLIC] Splits a flat answer map into the forced-choice and attitude answer maps the scorer expects.
+ * @param {Array} bankQuestions - The flattened item bank.
+ * @param {Object} answers - Answers keyed by question number or attitude id ({ qId: 'value' }).
+ * @returns {{mbtiAnswers: Object, attitudeAnswers: Object}} The answers as { qId: { choice } } maps.
+ */
+export function splitAnswers(bankQuestions, answers) {
+    const mbtiAnswers = {};
+    const attitudeAnswers = {};
+
+    bankQuestions.forEach(q => {
+        if (q.type === 'mbti' && answers[q.number]) {
+            mbtiAnswers[q.number] = { choice: answers[q.number] };
+        } else if (q.type === 'attitude' && answers[q.id]) {
+            attitudeAnswers[q.id] = { choice: answers[q.id] };
+        }
+    });
+    return { mbtiAnswers, attitudeAnswers };
+}
+
+/**
+ * [PUBLIC] Tells whether a protocol answered any item of the optional J-P block.
+ * @param {Array} bankQuestions - The flattened item bank.
+ * @param {Object} answers - Answers keyed by question number or attitude id.
+ * @returns {boolean} True if at least one optional item was answered.
+ */
+export function answersIncludeJp(bankQuestions, answers) {
+    return bankQuestions.some(q => q.optional && answers[getQuestionId(q)]);
+}
+
+/**
+ * [PUBLIC] Scores a set of answers with the hybrid engine.
+ * @param {Array} bankQuestions - The flattened item bank.
+ * @param {Object} answers - Answers keyed by question number or attitude id ({ qId: 'value' }).
+ * @param {Object} [options] - Scoring options passed through to `calculateHybridResults` (e.g. { estimator }).
+ * @returns {Object} The scorer result.
+ */
+export function scoreProtocol(bankQuestions, answers, options = {}) {
+    const { mbtiAnswers, attitudeAnswers } = splitAnswers(bankQuestions, answers);
+
+    // Pass only the relevant question arrays to the scorer
+    const mbtiQuestions = bankQuestions.filter(q => q.type === 'mbti');
+    const attitudeQuestions = bankQuestions.filter(q => q.type === 'attitude');
+
+    return calculateHybridResults(mbtiAnswers, attitudeAnswers, mbtiQuestions, attitudeQuestions, options);
+}
+
+/**
+ * Rebuilds the order in which a session presented its items, from the seeded randomization its
+ * settings record, the same way the app ordered them (see `orderSessionItems`). An adaptive
+ * session picks its forced-choice items as it goes and only orders its attitude block, so its
+ * forced-choice items are returned in bank order. The session's items are the bank's, with the
+ * optional J-P block whenever the protocol answered it.
+ * @param {Array} bankQuestions - The flattened item bank.
+ * @param {Object} answers - Answers keyed by question number or attitude id.
+ * @param {Object} settings - The session settings ({ adaptive, randomization }).
+ * @returns {Array} The session's items in presentation order.
+ */
+function getPresentationOrder(bankQuestions, answers, settings) {
+    const includeJp = answersIncludeJp(bankQuestions, answers);
+    const sessionBank = bankQuestions.filter(q => !q.optional || includeJp);
+    const randomization = settings.randomization || null;
+    if (settings.adaptive) {
+        const attitude = orderSessionItems(sessionBank.filter(q => q.type === 'attitude'), randomization);
+        return [...sessionBank.filter(q => q.type === 'mbti'), ...attitude];
+    }
+    return orderSessionItems(sessionBank, randomization);
+}
+
+/**
+ * [PUBLIC] Screens a scored protocol for careless or inattentive responding.
+ * The response-pattern checks read the attitude answers in the order they were presented, which
+ * is rebuilt from the session settings; without a recorded randomization that is bank order.
+ * @param {Array} bankQuestions - The flattened item bank.
+ * @param {Object} answers - Answers keyed by question number or attitude id.
+ * @param {Object} result - The scorer result for those answers.
+ * @param {number|null} durationMs - Time spent answering, or null if unknown.
+ * @param {Object} [settings] - How the session was run ({ adaptive, randomization }).
+ * @returns {Object} The validity report from `assessValidity`.
+ */
+export function screenProtocol(bankQuestions, answers, result, durationMs, settings = {}) {
+    const { mbtiAnswers } = splitAnswers(bankQuestions, answers);
+    return assessValidity({
+        result,
+        mbtiAnswers,
+        mbtiQuestions: bankQuestions.filter(q => q.type === 'mbti'),
+        likertResponses: getPresentationOrder(bankQuestions, answers, settings)
+            .filter(q => q.type === 'attitude' && answers[q.id])
+            .map(q => answers[q.id]),
+        durationMs,
+        answeredCount: Object.keys(answers).length
+    });
+}
@@ -0,0 +1,51 @@
+// random.js: Seeded Pseudo-Random Numbers
+//
+// Math.random() cannot be seeded, so anything that must be reproducible (simulations, and any
+// randomized presentation that a result should be able to replay) draws from a generator
+// created here instead. Mulberry32 is tiny and fast and has a period of 2^32, which is ample
+// for these purposes; it is not suitable for anything security-related.
+
+/**
+ * [PUBLIC] Creates a seeded generator of uniform numbers in [0, 1).
+ * @param {number} seed - Any integer; the same seed always yields the same sequence.
+ * @returns {Function} A function returning the next number of the sequence.
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return function next() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * [PUBLIC] Draws a normally distributed number using the Box-Muller transform.
+ * @param {Function} random - A generator from `createRandom`.
+ * @param {number} [mean] - The mean of the distribution.
+ * @param {number} [sd] - The standard deviation of the distribution.
+ * @returns {number} The draw.
+ */
+export function randomNormal(random, mean = 0, sd = 1) {
+    // 1 - random() lies in (0, 1], which keeps the logarithm finite.
+    const u = 1 - random();
+    const v = random();
+    return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * [PUBLIC] Returns a shuffled copy of an array, using the Fisher-Yates algorithm.
+ * @param {Function} random - A generator from `createRandom`.
+ * @param {Array} items - The items to shuffle; the array itself is left unchanged.
+ * @returns {Array} The items in random order.
+ */
+export function shuffle(random, items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
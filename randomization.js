@@ -0,0 +1,98 @@
+/**
+ * randomization.js: Seeded Randomization of Item Order and Option Placement.
+ *
+ * A fixed presentation order invites order effects and position bias. A session may therefore
+ * randomize how its items are presented, always from a stored seed, so that the exact
+ * presentation can be reproduced from the result record:
+ * 1.  **Shuffling Within Blocks:** The forced-choice block (including the optional J-P items)
+ *     and the attitude block are each put in random order.
+ * 2.  **Interleaving Blocks:** The two blocks are merged at random positions, each keeping its
+ *     own internal order. An adaptive session picks its forced-choice items as it goes, so there
+ *     only the attitude block that follows them can be shuffled.
+ * 3.  **Swapping Options:** Each forced-choice item shows option B first with probability 1/2.
+ *     The draw depends only on the seed and the question number, so an item keeps its placement
+ *     on back-navigation and after a resume. Answers are still recorded, and scored, by their
+ *     original letter.
+ */
+
+import { createRandom, shuffle } from './random.js';
+
+// The parts of the presentation that can be randomized, each off unless a session enables it.
+export const RANDOMIZATION_OPTIONS = ['shuffleWithinBlocks', 'interleaveBlocks', 'swapOptions'];
+
+/**
+ * [PUBLIC] Draws a fresh seed for a new session.
+ * @returns {number} An unsigned 32-bit integer.
+ */
+export function createSeed() {
+    return Math.floor(Math.random() * 2 ** 32);
+}
+
+/**
+ * [PUBLIC] Builds the randomization settings of a session.
+ * @param {Object} options - Which parts to randomize ({ shuffleWithinBlocks, interleaveBlocks, swapOptions }).
+ * @param {number} [seed] - The seed to use; a fresh one is drawn if omitted.
+ * @returns {Object|null} { seed, shuffleWithinBlocks, interleaveBlocks, swapOptions }, or null
+ *                        when nothing is randomized.
+ * @throws {Error} If the seed is not an unsigned 32-bit integer.
+ */
+export function createRandomization(options, seed = createSeed()) {
+    if (!RANDOMIZATION_OPTIONS.some(option => options[option])) return null;
+    if (!Number.isInteger(seed) || seed < 0 || seed >= 2 ** 32) {
+        throw new Error(`The randomization seed must be a whole number from 0 to ${2 ** 32 - 1}.`);
+    }
+    return { seed, ...Object.fromEntries(RANDOMIZATION_OPTIONS.map(option => [option, Boolean(options[option])])) };
+}
+
+/**
+ * Merges two lists at random positions, keeping the order within each.
+ * Every merged order is equally likely.
+ * @param {Function} random - The seeded generator.
+ * @param {Array} first - The first list.
+ * @param {Array} second - The second list.
+ * @returns {Array} The merged list.
+ */
+function interleave(random, first, second) {
+    const merged = [];
+    let i = 0;
+    let j = 0;
+    while (i < first.length || j < second.length) {
+        const remainingFirst = first.length - i;
+        if (random() * (remainingFirst + second.length - j) < remainingFirst) merged.push(first[i++]);
+        else merged.push(second[j++]);
+    }
+    return merged;
+}
+
+/**
+ * [PUBLIC] Puts the items of a session in presentation order.
+ * Without randomization this is the order given: the forced-choice block, then the attitude block.
+ * @param {Array} questions - The session's items, in file order.
+ * @param {Object|null} randomization - The settings from `createRandomization`.
+ * @returns {Array} The items in presentation order.
+ */
+export function orderSessionItems(questions, randomization) {
+    let forcedChoice = questions.filter(q => q.type === 'mbti');
+    let attitude = questions.filter(q => q.type === 'attitude');
+    if (!randomization) return [...forcedChoice, ...attitude];
+
+    const random = createRandom(randomization.seed);
+    if (randomization.shuffleWithinBlocks) {
+        forcedChoice = shuffle(random, forcedChoice);
+        attitude = shuffle(random, attitude);
+    }
+    return randomization.interleaveBlocks ? interleave(random, forcedChoice, attitude) : [...forcedChoice, ...attitude];
+}
+
+/**
+ * [PUBLIC] Returns the order in which a forced-choice item's options are shown.
+ * @param {Object} q - A forced-choice question.
+ * @param {Object|null} randomization - The settings from `createRandomization`.
+ * @returns {Array<string>} ['A', 'B'], or ['B', 'A'] when the placement is swapped.
+ */
+export function getOptionOrder(q, randomization) {
+    if (!randomization?.swapOptions) return ['A', 'B'];
+    // Mix the question number into the seed, so each item gets its own independent draw.
+    const random = createRandom(randomization.seed ^ Math.imul(q.number, 0x9e3779b1));
+    return random() < 0.5 ? ['B', 'A'] : ['A', 'B'];
+}
@@ -0,0 +1,364 @@
+// resultRecord.js: Complete Result Records for Export (JSON, CSV) and Re-Import
+//
+// A result record bundles everything needed to audit or reproduce a result: the raw answers,
+// the settings they were scored with, the full scorer output, timestamps, and the engine and
+// item-bank versions. JSON exports keep the full record; CSV exports flatten it into one row
+// per respondent so that records can be pasted straight into a spreadsheet.
+
+import { ENGINE_VERSION, DICHOTOMY_CONFIG } from './scorer.js';
+import { COGNITIVE_FUNCTIONS, TYPE_CODE_PATTERN } from './typologyModels.js';
+import { normalizeAnswers } from './protocol.js';
+import { toCsv, parseCsv } from './csv.js';
+
+const RECORD_FORMAT = 'dat-h-result';
+const RECORD_FORMAT_VERSION = 1;
+
+// Dichotomies and types that always get CSV columns, so every exported row has the same shape.
+const CSV_DICHOTOMIES = ['E-I', 'S-N', 'T-F', 'J-P'];
+const CSV_FUNCTIONS = ['Ti', 'Te', 'Fi', 'Fe', 'Si', 'Se', 'Ni', 'Ne'];
+
+/**
+ * Returns the key under which a question's answer is stored.
+ * @param {Object} q - A question object.
+ * @returns {number|string} The question number for forced-choice items, the id for attitude items.
+ */
+function questionKey(q) {
+    return q.type === 'mbti' ? q.number : q.id;
+}
+
+/**
+ * [PUBLIC] Assembles a complete result record.
+ * @param {Object} details - The parts of the record.
+ * @param {Object} details.answers - Raw answers keyed by question number or attitude id.
+ * @param {Object} details.result - The object returned by `calculateHybridResults`.
+ * @param {Object} details.settings - How the session was run and scored ({ estimator, scoringProfile?, typologyModel?, adaptive, includeJp, randomization?, locale? }).
+ * @param {Object|null} [details.validity] - The validity report from `assessValidity`, if screened.
+ * @param {Object|null} [details.processData] - Per-item timing and answer changes, if recorded
+ *                                              ({ items, backNavigations, activeMs, summary }).
+ * @param {string} details.bankVersion - The fingerprint of the item bank the answers refer to.
+ * @param {string|null} [details.respondentId] - An identifier for the respondent, e.g. from a batch file.
+ * @param {string|null} [details.startedAt] - ISO timestamp of the start of the session, if known.
+ * @param {string|null} [details.completedAt] - ISO timestamp of the completion of the session, if known.
+ * @returns {Object} The result record.
+ */
+export function buildResultRecord({ answers, result, settings, validity = null, processData = null, bankVersion, respondentId = null, startedAt = null, completedAt = null }) {
+    return {
+        format: RECORD_FORMAT,
+        formatVersion: RECORD_FORMAT_VERSION,
+        engineVersion: ENGINE_VERSION,
+        bankVersion,
+        respondentId,
+        startedAt,
+        completedAt,
+        exportedAt: new Date().toISOString(),
+        settings,
+        answers,
+        result,
+        validity,
+        processData
+    };
+}
+
+/**
+ * [PUBLIC] Serializes a record as JSON. Infinite values (e.g. the standard error of a dichotomy
+ * with no answers under MLE) are written as strings, since JSON has no representation for them.
+ * @param {Object} record - A result record.
+ * @param {number} [indent] - Indentation width; 0 gives a single line (e.g. for JSON Lines files).
+ * @returns {string} Pretty-printed JSON.
+ */
+export function recordToJson(record, indent = 2) {
+    return JSON.stringify(record, (key, value) => {
+        if (value === Infinity) return 'Infinity';
+        if (value === -Infinity) return '-Infinity';
+        return value;
+    }, indent);
+}
+
+/**
+ * [PUBLIC] Parses a JSON export back into a result record.
+ * @param {string} text - The JSON text.
+ * @returns {Object} The result record.
+ * @throws {Error} If the text is not a result record.
+ */
+export function parseResultJson(text) {
+    const record = JSON.parse(text, (key, value) => {
+        if (value === 'Infinity') return Infinity;
+        if (value === '-Infinity') return -Infinity;
+        return value;
+    });
+    if (record?.format !== RECORD_FORMAT || !record.result || !record.answers) {
+        throw new Error('This file is not an exported assessment result.');
+    }
+    return record;
+}
+
+/**
+ * Tells whether a value is a number, allowing the infinite values MLE gives for one-sided answers.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for any number except NaN.
+ */
+function isNumber(value) {
+    return typeof value === 'number' && !Number.isNaN(value);
+}
+
+/**
+ * Tells whether a record's process data has the shape the results screen and the CSV export read.
+ * @param {*} processData - The `processData` of an imported record.
+ * @returns {boolean} True when it holds an `items` object and a summary of non-negative numbers
+ *                    (the median may be null) with a `facets` list of { facet, items, changes, medianLatencyMs }.
+ */
+function isProcessData(processData) {
+    const isCount = value => Number.isFinite(value) && value >= 0;
+    const summary = processData?.summary;
+    return typeof processData.items === 'object' && processData.items !== null
+        && isCount(processData.activeMs)
+        && ['answeredItems', 'activeMs', 'changedItems', 'totalChanges', 'backNavigations'].every(field => isCount(summary?.[field]))
+        && (summary.medianLatencyMs === null || isCount(summary.medianLatencyMs))
+        && Array.isArray(summary.facets)
+        && summary.facets.every(f => typeof f?.facet === 'string' && ['items', 'changes', 'medianLatencyMs'].every(field => isCount(f[field])));
+}
+
+/**
+ * [PUBLIC] Checks an imported record against the item bank and the engine's vocabulary before it
+ * is displayed: its answers must belong to the bank, and its types, dichotomies, functions and
+ * scores must be ones the engine could have produced. A JSON file is shown as saved rather than
+ * re-scored, so this is what stands between a hand-edited file and the results screen.
+ * @param {Object} record - A record returned by `parseResultJson`.
+ * @param {Array} bankQuestions - The full item bank.
+ * @returns {Object} The record, with its answers normalized (see `normalizeAnswers`).
+ * @throws {Error} Listing every field that fails the check.
+ */
+export function validateResultRecord(record, bankQuestions) {
+    const answers = normalizeAnswers(bankQuestions, record.answers);
+    const { result } = record;
+    const problems = [];
+    const isType = type => typeof type === 'string' && TYPE_CODE_PATTERN.test(type);
+
+    if (!isType(result.finalType)) problems.push('finalType is not a four-letter type code');
+    const typeScores = Object.entries(result.allTypeScores || {});
+    if (typeScores.length === 0 || typeScores.some(([type, score]) => !isType(type) || !isNumber(score))) {
+        problems.push('allTypeScores must map type codes to numbers');
+    }
+    if (!Array.isArray(result.topTypes) || result.topTypes.some(entry => !isType(entry?.type) || !isNumber(entry.probability) || !isNumber(entry.margin))) {
+        problems.push('topTypes must list type codes with their probability and margin');
+    }
+    if (result.closeCall && (!Array.isArray(result.closeCall.types) || !result.closeCall.types.every(isType))) {
+        problems.push('closeCall.types must list type codes');
+    }
+    if (result.closeCall?.details && (!Array.isArray(result.closeCall.details) || !isNumber(result.closeCall.margin))) {
+        problems.push('closeCall must list its details with a numeric margin');
+    }
+    for (const [name, d] of Object.entries(result.dichotomies || {})) {
+        const config = DICHOTOMY_CONFIG[name];
+        if (!config) {
+            problems.push(`unknown dichotomy "${name}"`);
+        } else if (!config.poles.includes(d?.preference) || !['theta', 'standardError', 'pci'].every(field => isNumber(d[field]))) {
+            problems.push(`dichotomy ${name} must have a preference of ${config.poles.join(' or ')} and numeric theta, standardError and pci`);
+        }
+    }
+    for (const scale of ['raw', 'normalized']) {
+        const strengths = result.functionStrengths?.[scale];
+        if (!strengths || !COGNITIVE_FUNCTIONS.every(fn => isNumber(strengths[fn]))) {
+            problems.push(`functionStrengths.${scale} must give a number for each of ${COGNITIVE_FUNCTIONS.join(', ')}`);
+        }
+    }
+    if (record.processData != null && !isProcessData(record.processData)) {
+        problems.push('processData must hold a summary of non-negative numbers and a facets list of { facet, items, changes, medianLatencyMs }');
+    }
+    if (problems.length > 0) {
+        throw new Error(`This result file is damaged or was edited: ${problems.join('; ')}.`);
+    }
+    return { ...record, answers };
+}
+
+/**
+ * Lists the CSV columns for a given item bank.
+ * @param {Array} bankQuestions - The full item bank, in bank order.
+ * @param {Array<string>} typeNames - The type names, in column order.
+ * @returns {Array<string>} The column names.
+ */
+function csvColumns(bankQuestions, typeNames) {
+    return [
+        'respondent_id', 'engine_version', 'bank_version', 'started_at', 'completed_at', 'exported_at',
+        'estimator', 'scoring_profile', 'scoring_profile_definition', 'typology_model', 'typology_model_definition',
+        'adaptive', 'include_jp',
+        'random_seed', 'shuffle_within_blocks', 'interleave_blocks', 'swap_options', 'locale',
+        'final_type', 'fit_score', 'close_call',
+        ...CSV_DICHOTOMIES.flatMap(d => ['theta', 'se', 'ci_lower', 'ci_upper', 'pci', 'pcc', 'indeterminate'].map(f => `${d}_${f}`)),
+        'jp_irt_stack_agree', 'validity_flagged', 'validity_warnings',
+        'out_of_preference_facets',
+        'active_ms', 'median_latency_ms', 'changed_items', 'total_changes', 'back_navigations',
+        ...typeNames.map(type => `score_${type}`),
+        ...CSV_FUNCTIONS.flatMap(fn => [`fn_${fn}_raw`, `fn_${fn}_normalized`]),
+        ...bankQuestions.map(q => `q_${questionKey(q)}`),
+        ...bankQuestions.flatMap(q => [`rt_${questionKey(q)}`, `changes_${questionKey(q)}`])
+    ];
+}
+
+/**
+ * Serializes a custom scoring profile or typology model for its CSV column. Built-in ones are
+ * identified by their name alone, which has a column of its own.
+ * @param {string|Object|undefined} definition - The profile or model the record was scored with.
+ * @returns {string} The definition as JSON, or an empty string for a built-in name.
+ */
+function definitionToCsv(definition) {
+    return typeof definition === 'object' && definition !== null ? JSON.stringify(definition) : '';
+}
+
+/**
+ * Reads a scoring profile or typology model back out of a CSV row: the definition, if the row
+ * carries one, else the built-in name.
+ * @param {Object} row - The parsed CSV row.
+ * @param {string} column - The name column, 'scoring_profile' or 'typology_model'.
+ * @param {number} rowNumber - The 1-based row number, for the error message.
+ * @returns {string|Object|undefined} The name or the parsed definition; undefined if neither is given.
+ * @throws {Error} If the definition is not valid JSON.
+ */
+function definitionFromCsv(row, column, rowNumber) {
+    const definition = row[`${column}_definition`];
+    if (!definition) return row[column] || undefined;
+    try {
+        return JSON.parse(definition);
+    } catch (error) {
+        throw new Error(`Row ${rowNumber}: column ${column}_definition does not hold valid JSON (${error.message}).`);
+    }
+}
+
+/**
+ * Flattens a record into a single CSV row.
+ * @param {Object} record - A result record.
+ * @param {Array} bankQuestions - The full item bank, in bank order.
+ * @returns {Object} The row, keyed by column name.
+ */
+function recordToRow(record, bankQuestions) {
+    const { result, settings, processData } = record;
+    const row = {
+        respondent_id: record.respondentId,
+        engine_version: record.engineVersion,
+        bank_version: record.bankVersion,
+        started_at: record.startedAt,
+        completed_at: record.completedAt,
+        exported_at: record.exportedAt,
+        estimator: settings.estimator,
+        scoring_profile: result.scoringProfile,
+        scoring_profile_definition: definitionToCsv(settings.scoringProfile),
+        typology_model: result.typologyModel,
+        typology_model_definition: definitionToCsv(settings.typologyModel),
+        adaptive: settings.adaptive,
+        include_jp: settings.includeJp,
+        random_seed: settings.randomization?.seed,
+        shuffle_within_blocks: settings.randomization?.shuffleWithinBlocks,
+        interleave_blocks: settings.randomization?.interleaveBlocks,
+        swap_options: settings.randomization?.swapOptions,
+        locale: settings.locale,
+        final_type: result.finalType,
+        fit_score: result.score,
+        close_call: result.closeCall ? result.closeCall.types.join('/') : '',
+        jp_irt_stack_agree: result.jpComparison ? result.jpComparison.agree : '',
+        validity_flagged: record.validity ? record.validity.flagged : '',
+        validity_warnings: record.validity ? record.validity.warnings.join(' | ') : '',
+        out_of_preference_facets: (result.facets || []).filter(f => f.outOfPreference).map(f => `${f.dichotomy} ${f.facet}`).join(' | ')
+    };
+    if (processData) {
+        Object.assign(row, {
+            active_ms: processData.activeMs,
+            median_latency_ms: processData.summary.medianLatencyMs,
+            changed_items: processData.summary.changedItems,
+            total_changes: processData.summary.totalChanges,
+            back_navigations: processData.summary.backNavigations
+        });
+    }
+    for (const [name, d] of Object.entries(result.dichotomies)) {
+        Object.assign(row, {
+            [`${name}_theta`]: d.theta,
+            [`${name}_se`]: d.standardError,
+            [`${name}_ci_lower`]: d.confidenceInterval.lower,
+            [`${name}_ci_upper`]: d.confidenceInterval.upper,
+            [`${name}_pci`]: d.pci,
+            [`${name}_pcc`]: d.pcc,
+            [`${name}_indeterminate`]: d.indeterminate
+        });
+    }
+    for (const [type, score] of Object.entries(result.allTypeScores)) {
+        row[`score_${type}`] = score;
+    }
+    for (const fn of CSV_FUNCTIONS) {
+        row[`fn_${fn}_raw`] = result.functionStrengths.raw[fn];
+        row[`fn_${fn}_normalized`] = result.functionStrengths.normalized[fn];
+    }
+    for (const q of bankQuestions) {
+        row[`q_${questionKey(q)}`] = record.answers[questionKey(q)];
+        const timing = processData?.items[questionKey(q)];
+        if (timing) {
+            row[`rt_${questionKey(q)}`] = timing.latencyMs;
+            row[`changes_${questionKey(q)}`] = timing.changes;
+        }
+    }
+    return row;
+}
+
+/**
+ * [PUBLIC] Serializes one or more records as CSV, one flat row per record.
+ * @param {Array<Object>} records - The result records.
+ * @param {Array} bankQuestions - The full item bank, in bank order (for the answer columns).
+ * @returns {string} The CSV text.
+ */
+export function recordsToCsv(records, bankQuestions) {
+    // Records scored under different typology models may rate different types; each gets a column.
+    const typeNames = [...new Set(records.flatMap(record => Object.keys(record.result.allTypeScores)))];
+    return toCsv(csvColumns(bankQuestions, typeNames), records.map(record => recordToRow(record, bankQuestions)));
+}
+
+/**
+ * [PUBLIC] Reads the answers and settings back out of a CSV export.
+ * Only the raw inputs are recovered; the caller re-scores them to re-display the result,
+ * since a flat row cannot hold the full result object.
+ * @param {string} text - The CSV text.
+ * @param {Array} bankQuestions - The full item bank, in bank order.
+ * @returns {Array<Object>} One { answers, settings, respondentId, bankVersion, engineVersion, startedAt, completedAt } per row.
+ * @throws {Error} If the CSV has no data rows or no answer columns, or an answer column names
+ *                 a question that is not in the bank.
+ */
+export function parseResultCsv(text, bankQuestions) {
+    const rows = parseCsv(text);
+    if (rows.length === 0) {
+        throw new Error('This CSV file contains no result rows.');
+    }
+    if (!Object.keys(rows[0]).some(column => column.startsWith('q_'))) {
+        throw new Error('This CSV file does not contain exported assessment answers.');
+    }
+    const answerColumns = new Set(bankQuestions.map(q => `q_${questionKey(q)}`));
+    const unknownColumns = Object.keys(rows[0]).filter(column => column.startsWith('q_') && !answerColumns.has(column));
+    if (unknownColumns.length > 0) {
+        throw new Error(`This CSV file has answer columns for questions that are not in the item bank: ${unknownColumns.join(', ')}.`);
+    }
+    return rows.map((row, i) => {
+        const answers = {};
+        for (const q of bankQuestions) {
+            const value = row[`q_${questionKey(q)}`];
+            if (value) answers[questionKey(q)] = value;
+        }
+        return {
+            answers,
+            settings: {
+                estimator: row.estimator || undefined,
+                scoringProfile: definitionFromCsv(row, 'scoring_profile', i + 1),
+                typologyModel: definitionFromCsv(row, 'typology_model', i + 1),
+                adaptive: row.adaptive === 'true',
+                includeJp: row.include_jp === 'true',
+                randomization: row.random_seed ? {
+                    seed: Number(row.random_seed),
+                    shuffleWithinBlocks: row.shuffle_within_blocks === 'true',
+                    interleaveBlocks: row.interleave_blocks === 'true',
+                    swapOptions: row.swap_options === 'true'
+                } : null,
+                locale: row.locale || undefined
+            },
+            respondentId: row.respondent_id || null,
+            bankVersion: row.bank_version,
+            engineVersion: row.engine_version,
+            startedAt: row.started_at || null,
+            completedAt: row.completed_at || null
+        };
+    });
+}
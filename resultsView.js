@@ -0,0 +1,471 @@
+// resultsView.js: Rendering of the Results Screen
+//
+// Everything shown here is worded from the result's data through the string catalogue, so the
+// screen follows the active locale; the English `rationale` and `closeCall.message` the scorer
+// writes for exports and the command-line tools are only shown for records that predate the
+// data they are worded from.
+
+import { DICHOTOMY_CONFIG } from './scorer.js';
+import { getLocale, t, tCount, translateFacet } from './i18n.js';
+import { escapeHtml } from './html.js';
+
+// --- DOM Element References ---
+const finalTypeText = document.getElementById('final-type-text');
+const finalTypeAlternative = document.getElementById('final-type-alternative');
+const rationaleText = document.getElementById('rationale-text');
+const dichotomyResults = document.getElementById('dichotomy-results');
+const jpComparisonText = document.getElementById('jp-comparison-text');
+const estimatorText = document.getElementById('estimator-text');
+const closeCallText = document.getElementById('close-call-text');
+const topTypesList = document.getElementById('top-types-list');
+const functionChart = document.getElementById('function-chart');
+const validityBox = document.getElementById('validity-box');
+const validityList = document.getElementById('validity-list');
+const validitySummary = document.getElementById('validity-summary');
+const timingBox = document.getElementById('timing-box');
+const timingText = document.getElementById('timing-text');
+const timingFacets = document.getElementById('timing-facets');
+const facetBox = document.getElementById('facet-box');
+const facetSummary = document.getElementById('facet-summary');
+const facetResults = document.getElementById('facet-results');
+const explanationBox = document.getElementById('explanation-box');
+const explanationTypes = document.getElementById('explanation-types');
+const explanationItems = document.getElementById('explanation-items');
+
+// Display order of the eight functions in the strength chart (grouped by axis).
+const CHART_FUNCTION_ORDER = ['Ti', 'Te', 'Fi', 'Fe', 'Si', 'Se', 'Ni', 'Ne'];
+
+// Catalogue keys of the Preference Clarity Categories the scorer reports.
+const PCC_KEYS = { 'Slight': 'slight', 'Moderate': 'moderate', 'Clear': 'clear', 'Very Clear': 'veryClear' };
+
+// Catalogue keys of the validity checks, by check id, and how each formats its value.
+// The person-fit checks carry their dichotomy in the id ('person-fit-E-I').
+const VALIDITY_CHECK_KEYS = { 'straight-lining': 'straightLining', 'alternating': 'alternating', 'completion-speed': 'completionSpeed' };
+const VALIDITY_VALUE_FORMATS = {
+    personFit: value => value.toFixed(2),
+    straightLining: value => value,
+    alternating: value => Math.round(value * 100),
+    completionSpeed: value => value.toFixed(1)
+};
+const VALIDITY_STATUS_ORDER = { warning: 0, ok: 1, 'not-assessed': 2 };
+
+/**
+ * Looks up a catalogue string that only exists for the engine's own vocabulary, such as the
+ * positions of the built-in typology models, and falls back to the given text otherwise.
+ * @param {string} key - The string key.
+ * @param {string} fallback - The text to use when no catalogue has the key.
+ * @returns {string} The translated string or the fallback.
+ */
+function tOrDefault(key, fallback) {
+    const text = t(key);
+    return text === key ? fallback : text;
+}
+
+/**
+ * Describes a Preference Clarity Category in the active locale.
+ * @param {string} category - The category as the scorer reports it (e.g. 'Very Clear').
+ * @returns {string} The translated category, escaped.
+ */
+function describePcc(category) {
+    return tOrDefault(`results.pcc.${PCC_KEYS[category]}`, escapeHtml(category));
+}
+
+/**
+ * Describes a stack position in the active locale; positions of custom models keep their own label.
+ * @param {Object} entry - A `functionStack` entry ({ position, label }).
+ * @returns {string} The translated position, escaped.
+ */
+function describePosition(entry) {
+    return tOrDefault(`results.position.${entry.position}`, escapeHtml(entry.label));
+}
+
+/**
+ * Names a facet and its two poles in the active locale. A facet name such as
+ * 'Practical / Conceptual' names the dichotomy's first pole first, as the scorer reads it.
+ * @param {Object} f - A `facets` entry of the scorer result.
+ * @returns {Object} { facet, first, second }, the name and the two pole labels, escaped.
+ */
+function describeFacet(f) {
+    const facet = translateFacet(f.facet);
+    const [first, second = first] = facet === f.facet
+        ? Object.values(f.poleLabels)
+        : facet.split('/').map(label => label.trim());
+    return { facet: escapeHtml(facet), first: escapeHtml(first), second: escapeHtml(second) };
+}
+
+/**
+ * Joins words into a list in the active locale (e.g. 'E-I and T-F').
+ * @param {Array<string>} items - The words.
+ * @returns {string} The list.
+ */
+function formatList(items) {
+    return new Intl.ListFormat(getLocale(), { type: 'conjunction' }).format(items);
+}
+
+/**
+ * Formats a theta value with an explicit sign for display.
+ * @param {number} value - The value to format.
+ * @returns {string} The formatted value (e.g., '+0.84', '-1.20', '±∞').
+ */
+function formatSigned(value) {
+    if (!Number.isFinite(value)) return value > 0 ? '+∞' : '-∞';
+    return `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+}
+
+/**
+ * Renders one row per IRT dichotomy with its PCI band and confidence interval.
+ * @param {Object} dichotomies - The `dichotomies` object returned by the scorer.
+ */
+function renderDichotomyBands(dichotomies) {
+    dichotomyResults.innerHTML = Object.entries(dichotomies).map(([name, d]) => {
+        const { lower, upper, level } = d.confidenceInterval;
+        const pci = escapeHtml(d.pci);
+        // Without a finite standard error there is no band; the bare PCI would overstate its precision.
+        const band = !d.pciBand ? t('results.pciNoBand', { pci })
+            : d.pciBand.lower === d.pciBand.upper ? t('results.pci', { pci })
+            : t('results.pciBand', { pci, lower: escapeHtml(d.pciBand.lower), upper: escapeHtml(d.pciBand.upper) });
+        const category = d.indeterminate && d.borderline
+            ? t('results.category.borderlineIndeterminate')
+            : d.indeterminate ? t('results.category.indeterminate')
+            : d.borderline ? t('results.category.borderline')
+            : !d.pccBand || d.pccBand.lower === d.pccBand.upper ? describePcc(d.pcc)
+            : t('results.pccBand', { lower: describePcc(d.pccBand.lower), upper: describePcc(d.pccBand.upper) });
+        return `
+            <div class="dichotomy-row${d.indeterminate ? ' indeterminate' : ''}">
+                <span class="dichotomy-name">${escapeHtml(name)}</span>
+                <span class="dichotomy-preference">${d.indeterminate ? '?' : escapeHtml(d.preference)}</span>
+                <span class="dichotomy-band">${band}</span>
+                <span class="dichotomy-category">${category}</span>
+                <span class="dichotomy-interval">${t('results.interval', { theta: formatSigned(d.theta), level: Math.round(level * 100), lower: formatSigned(lower), upper: formatSigned(upper) })}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Renders the facet subscores, grouped by dichotomy, each on a scale between its two poles.
+ * The section is hidden for results without facet scores (e.g. older imported records).
+ * @param {Array|undefined} facets - The `facets` array returned by the scorer.
+ */
+function renderFacets(facets) {
+    facetBox.hidden = !facets || facets.length === 0;
+    if (facetBox.hidden) return;
+
+    const outOfPreference = facets.filter(f => f.outOfPreference);
+    facetSummary.textContent = outOfPreference.length > 0
+        ? tCount('results.facetsAgainst', outOfPreference.length)
+        : t('results.facetsAgree');
+    facetResults.innerHTML = facets.map((f, index) => {
+        const { facet, first, second } = describeFacet(f);
+        // Thetas beyond +/-2 are drawn at the ends of the scale; positive thetas lean to the first pole.
+        const position = 50 - Math.max(-2, Math.min(2, f.theta)) * 25;
+        const verdict = f.direction
+            ? t(`results.facet.${f.strength === 'clear' ? 'clear' : 'moderate'}${f.outOfPreference ? 'OutOfPreference' : ''}`, {
+                pole: f.direction === Object.keys(f.poleLabels)[0] ? first : second
+            })
+            : t('results.facet.midzone');
+        const scaleLabel = tCount('results.facet.scale', Number(f.items), { facet, verdict, theta: formatSigned(f.theta) });
+        const heading = index === 0 || facets[index - 1].dichotomy !== f.dichotomy
+            ? `<p class="facet-dichotomy">${escapeHtml(f.dichotomy)}</p>`
+            : '';
+        return `${heading}
+            <div class="facet-row ${escapeHtml(f.strength)}${f.outOfPreference ? ' out-of-preference' : ''}">
+                <span class="facet-pole">${first}</span>
+                <span class="facet-scale" role="img" aria-label="${scaleLabel}">
+                    <span class="facet-marker" style="inset-inline-start: ${position.toFixed(1)}%"></span>
+                </span>
+                <span class="facet-pole">${second}</span>
+                <span class="facet-verdict">${verdict}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Describes how the self-reported J-P compares with the J-P that emerged from the stack scoring.
+ * @param {Object|null} jpComparison - The `jpComparison` object returned by the scorer.
+ */
+function renderJpComparison(jpComparison) {
+    if (!jpComparison) {
+        jpComparisonText.textContent = '';
+        return;
+    }
+    const { irtPreference, stackPreference, agree, indeterminate } = jpComparison;
+    const comparison = t(agree ? 'results.jp.agrees' : 'results.jp.differs', { irt: irtPreference, stack: stackPreference });
+    jpComparisonText.textContent = indeterminate ? `${comparison} ${t('results.jp.indeterminate')}` : comparison;
+}
+
+/**
+ * Lists the best-fitting candidate types with their relative fit and margin to the best fit.
+ * @param {Array} topTypes - The `topTypes` array returned by the scorer.
+ */
+function renderTopTypes(topTypes) {
+    topTypesList.innerHTML = topTypes.map(({ type, probability, margin }, index) => `
+        <li class="top-type-row">
+            <span class="top-type-name">${escapeHtml(type)}</span>
+            <span class="top-type-bar"><span style="width: ${(probability * 100).toFixed(1)}%"></span></span>
+            <span class="top-type-probability">${(probability * 100).toFixed(1)}%</span>
+            <span class="top-type-margin">${index === 0 ? t('results.bestFit') : t('results.behindBest', { margin: margin.toFixed(2) })}</span>
+        </li>
+    `).join('');
+}
+
+/**
+ * Renders the eight-function strength profile as a horizontal bar chart.
+ * Each bar is exposed to assistive technology as a meter with its value and stack position,
+ * and the functions in the best-fit type's stack are highlighted; shadow positions of
+ * eight-function models are labelled but not highlighted.
+ * @param {Object} functionStrengths - The `functionStrengths` object returned by the scorer.
+ * @param {Object} result - The scorer result, for the best-fit type's stack positions.
+ */
+function renderFunctionChart(functionStrengths, result) {
+    // Records from before typology models only list the four primary positions.
+    const functionStack = result.functionStack || [
+        { position: 'dom', label: 'Dominant', function: result.dominant },
+        { position: 'aux', label: 'Auxiliary', function: result.auxiliary },
+        { position: 'ter', label: 'Tertiary', function: result.tertiary },
+        { position: 'inf', label: 'Inferior', function: result.inferior }
+    ];
+    const positions = Object.fromEntries(functionStack.map(entry => [entry.function, entry]));
+    functionChart.innerHTML = CHART_FUNCTION_ORDER.map(fn => {
+        const raw = functionStrengths.raw[fn];
+        const normalized = functionStrengths.normalized[fn];
+        const percent = Math.round(normalized * 100);
+        const entry = positions[fn];
+        // The row classes follow the model's own (English) labels, which the stylesheet targets.
+        const rowClass = !entry ? ''
+            : entry.shadow ? ' shadow-position'
+            : ` in-stack position-${escapeHtml(entry.label.toLowerCase().replace(/\s+/g, '-'))}`;
+        const position = entry ? describePosition(entry) : '';
+        const label = entry
+            ? t('results.functionInStack', { function: fn, percent, raw: escapeHtml(raw), position, type: escapeHtml(result.finalType) })
+            : t('results.function', { function: fn, percent, raw: escapeHtml(raw) });
+        return `
+            <div class="function-row${rowClass}" role="listitem">
+                <span class="function-name">${fn}</span>
+                <span class="function-bar" role="meter" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}" aria-label="${label}">
+                    <span style="width: ${percent}%"></span>
+                </span>
+                <span class="function-value">${percent}%</span>
+                <span class="function-position">${position}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Describes one validity check: its name and its finding.
+ * Checks this version does not know keep the English label and message they were saved with.
+ * @param {Object} check - A `checks` entry of the validity report.
+ * @returns {string} The description as HTML.
+ */
+function describeCheck(check) {
+    const { id, status, value } = check;
+    const dichotomy = typeof id === 'string' && id.startsWith('person-fit-') ? id.slice('person-fit-'.length) : null;
+    const key = dichotomy ? 'personFit' : VALIDITY_CHECK_KEYS[id];
+    const known = key && status in VALIDITY_STATUS_ORDER && (status === 'not-assessed' || typeof value === 'number');
+    if (!known) return `<strong>${escapeHtml(check.label)}:</strong> ${escapeHtml(check.message)}`;
+
+    const params = { dichotomy: escapeHtml(dichotomy), value: status === 'not-assessed' ? '' : VALIDITY_VALUE_FORMATS[key](value) };
+    return `<strong>${t(`results.validity.${key}`, params)}:</strong> ${t(`results.validity.${key}.${status}`, params)}`;
+}
+
+/**
+ * [PUBLIC] Shows the response-validity checks, with warnings listed first.
+ * The section is hidden for results without a validity report (e.g. older imported records).
+ * @param {Object|null} validity - The report returned by `assessValidity`.
+ */
+export function renderValidity(validity) {
+    validityBox.hidden = !validity;
+    if (!validity) return;
+
+    validitySummary.textContent = validity.flagged
+        ? tCount('results.validity.warnings', validity.warnings.length)
+        : t('results.validity.none');
+    validityList.innerHTML = [...validity.checks]
+        .sort((x, y) => VALIDITY_STATUS_ORDER[x.status] - VALIDITY_STATUS_ORDER[y.status])
+        .map(check => `<li class="validity-check ${escapeHtml(check.status)}">${describeCheck(check)}</li>`)
+        .join('');
+}
+
+/**
+ * Formats a duration in milliseconds as seconds for display.
+ * @param {number} ms - The duration.
+ * @returns {string} E.g. '4.2 s'.
+ */
+function formatSeconds(ms) {
+    return t('results.seconds', { seconds: (ms / 1000).toFixed(1) });
+}
+
+/**
+ * [PUBLIC] Shows a summary of the response timing and answer changes, with the facets that
+ * took longest to answer listed first. Hidden when no process data was recorded
+ * (shared links, CSV re-imports and older records).
+ * @param {Object|null} processData - The record's process data ({ summary, ... }).
+ */
+export function renderProcessSummary(processData) {
+    timingBox.hidden = !processData;
+    if (!processData) return;
+
+    const { summary } = processData;
+    const median = summary.medianLatencyMs === null ? t('results.timing.notAvailable') : formatSeconds(summary.medianLatencyMs);
+    timingText.textContent = [
+        tCount('results.timing.answered', summary.answeredItems, { active: formatSeconds(summary.activeMs), median }),
+        tCount('results.timing.changed', summary.changedItems),
+        tCount('results.timing.changes', summary.totalChanges),
+        tCount('results.timing.back', summary.backNavigations)
+    ].join(' ');
+    timingFacets.innerHTML = summary.facets.slice(0, 3).map(f => {
+        // Process data names a facet with its dichotomy, e.g. 'S-N: Practical / Conceptual'.
+        const name = String(f.facet).replace(/^([^:]+: )(.+)$/, (label, dichotomy, facet) => `${dichotomy}${translateFacet(facet)}`);
+        const facet = tCount('results.timing.facet', Number(f.items), { facet: escapeHtml(name), median: formatSeconds(f.medianLatencyMs) });
+        const changes = Number(f.changes);
+        return `<li>${changes > 0 ? tCount('results.timing.facetChanges', changes, { facet }) : facet}</li>`;
+    }).join('');
+}
+
+/**
+ * Describes one contribution to a type's fit score as a line of text.
+ * @param {Object} c - A `contributions` entry of the scorer's explanation.
+ * @returns {string} E.g. 'S-N: θ -0.47 favours N, × clarity weight 4.46 = +2.12'.
+ */
+function describeContribution(c) {
+    if (c.source === 'dichotomy') {
+        const key = c.points === 0 ? 'neutral' : c.points > 0 ? 'favours' : 'against';
+        return t(`results.contribution.${key}`, {
+            dichotomy: escapeHtml(c.dichotomy),
+            theta: formatSigned(c.theta),
+            letter: escapeHtml(c.letter),
+            weight: c.weight.toFixed(2),
+            points: formatSigned(c.points)
+        });
+    }
+    return t('results.contribution.function', {
+        position: describePosition(c),
+        function: escapeHtml(c.function),
+        strength: escapeHtml(c.strength),
+        weight: formatSigned(c.weight),
+        points: formatSigned(c.points)
+    });
+}
+
+/**
+ * Removes the connecting punctuation of a forced-choice option text (e.g. 'fact courses, or').
+ * @param {string} text - The option text.
+ * @returns {string} The bare option, e.g. 'fact courses'.
+ */
+function bareOption(text) {
+    return text.replace(/,?\s+or$/, '').replace(/[?.,]$/, '');
+}
+
+/**
+ * Renders the itemized explanation: the point contributions to the best fit and the type it was
+ * compared with, and the answers that moved each dichotomy theta the most.
+ * The section is hidden for results without an explanation (e.g. older imported records).
+ * @param {Object|undefined} explanation - The `explanation` object returned by the scorer.
+ */
+function renderExplanation(explanation) {
+    explanationBox.hidden = !explanation;
+    if (!explanation) return;
+
+    explanationTypes.innerHTML = explanation.types.map(({ type, score, margin, contributions }, index) => `
+        <div class="explanation-type">
+            <p class="explanation-heading">${index === 0
+                ? t('results.explanation.best', { type: escapeHtml(type), score: score.toFixed(2) })
+                : t('results.explanation.behind', { type: escapeHtml(type), score: score.toFixed(2), margin: margin.toFixed(2) })}</p>
+            <ul>${contributions.map(c => `<li>${describeContribution(c)}</li>`).join('')}</ul>
+        </div>
+    `).join('');
+    explanationItems.innerHTML = Object.entries(explanation.influentialItems).map(([dichotomy, items]) => `
+        <p class="explanation-heading">${escapeHtml(dichotomy)}</p>
+        <ul>${items.map(item => `
+            <li>${t(item.question ? 'results.influentialItem.question' : 'results.influentialItem', {
+                number: escapeHtml(item.number),
+                question: escapeHtml(item.question),
+                chosen: escapeHtml(bareOption(item.optionText)),
+                other: escapeHtml(bareOption(item.otherText)),
+                pole: escapeHtml(item.pole),
+                shift: formatSigned(item.shift)
+            })}</li>
+        `).join('')}</ul>
+    `).join('');
+}
+
+/**
+ * Words the reasons why the result is a best fit between two types.
+ * @param {Object|null} closeCall - The `closeCall` object returned by the scorer.
+ * @param {Object} dichotomies - The `dichotomies` object returned by the scorer.
+ * @returns {string} The description, or an empty string when the result is not borderline.
+ */
+function describeCloseCall(closeCall, dichotomies) {
+    if (!closeCall) return '';
+    // Records from before the reasons were kept as data only have the English message.
+    if (!Array.isArray(closeCall.details)) return closeCall.message ?? '';
+    const [best, alternative] = closeCall.types;
+    const reasons = closeCall.details.map(detail => {
+        if (detail.kind === 'borderline') {
+            return t('results.closeCall.borderline', { dichotomy: detail.dichotomy, theta: formatSigned(dichotomies[detail.dichotomy]?.theta) });
+        }
+        if (detail.kind === 'tie') return t('results.closeCall.tie', { best, alternative });
+        return t('results.closeCall.close', { best, alternative, margin: closeCall.margin.toFixed(2) });
+    });
+    return t('results.closeCall', { best, alternative, reasons: formatList(reasons) });
+}
+
+/**
+ * Words the rationale of the result: the core thetas and their clarity, their precision, the
+ * best fit under the typology model, the J-P comparison and, when borderline, the close call.
+ * @param {Object} result - The object returned by `calculateHybridResults`.
+ * @returns {string} The rationale.
+ */
+function describeRationale(result) {
+    const core = Object.entries(result.dichotomies).filter(([name]) => !DICHOTOMY_CONFIG[name]?.optional);
+    const level = Math.round((core[0]?.[1].confidenceInterval.level ?? 0.95) * 100);
+    const indeterminate = core.filter(([, d]) => d.indeterminate).map(([name]) => name);
+    const jp = result.jpComparison;
+    return [
+        t('results.rationale.thetas', {
+            thetas: formatList(core.map(([name, d]) => t('results.rationale.theta', { dichotomy: name, theta: formatSigned(d.theta), category: describePcc(d.pcc) })))
+        }),
+        indeterminate.length > 0
+            ? t('results.rationale.indeterminate', { level, dichotomies: formatList(indeterminate) })
+            : t('results.rationale.determinate', { level }),
+        tCount('results.rationale.fit', Object.keys(result.allTypeScores).length, {
+            model: result.typologyModel || 'four-function',
+            type: result.finalType,
+            score: result.score.toFixed(2)
+        }),
+        jp ? t(jp.agree ? 'results.rationale.jpAgrees' : 'results.rationale.jpDisagrees', {
+            theta: formatSigned(result.dichotomies['J-P']?.theta),
+            irt: jp.irtPreference,
+            stack: jp.stackPreference
+        }) : '',
+        describeCloseCall(result.closeCall, result.dichotomies)
+    ].filter(Boolean).join(' ');
+}
+
+/**
+ * [PUBLIC] Populates the results screen from a scorer result object.
+ * @param {Object} result - The object returned by `calculateHybridResults`.
+ */
+export function renderResults(result) {
+    finalTypeText.textContent = result.finalType;
+    // A borderline result is a best fit between two types; the runner-up is named on the card.
+    finalTypeAlternative.textContent = result.closeCall
+        ? t('results.alternative', { type: result.closeCall.types[1] })
+        : '';
+    rationaleText.textContent = describeRationale(result);
+    renderExplanation(result.explanation);
+    renderDichotomyBands(result.dichotomies);
+    renderFacets(result.facets);
+    renderJpComparison(result.jpComparison);
+    renderTopTypes(result.topTypes);
+    renderFunctionChart(result.functionStrengths, result);
+    closeCallText.textContent = describeCloseCall(result.closeCall, result.dichotomies);
+    const { estimator, prior } = result.estimation;
+    // Results from before models and profiles existed were scored with the defaults.
+    const scoring = { model: result.typologyModel || 'four-function', profile: result.scoringProfile || 'standard' };
+    estimatorText.textContent = estimator === 'mle'
+        ? t('results.estimation.mle', scoring)
+        : t('results.estimation.bayesian', { ...scoring, estimator: String(estimator).toUpperCase(), mean: prior.mean, sd: prior.sd });
+}
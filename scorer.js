@@ -13,7 +13,10 @@
  *     empirically robust, stemming from factor analysis of the official MBTI® Form M data.
  * 2.  **Maximum Likelihood Estimation (MLE):** Employs an efficient Newton-Raphson method to
  *     precisely estimate 'theta' (latent trait level) for the E-I, S-N, and T-F dichotomies, ensuring
- *     foundational accuracy in preference measurement.
+ *     foundational accuracy in preference measurement. When the optional J-P item block is administered,
+ *     J-P is estimated the same way and reported next to the stack-derived J-P for comparison.
+ *     Bayesian EAP (quadrature) and MAP estimators with a configurable normal prior are available as
+ *     alternatives, and stay finite for extreme or sparse response patterns.
  * 3.  **Dynamic PCI & PCC:** Converts raw 'theta' scores into a nuanced Preference Clarity Index (PCI, 1-30)
  *     and a qualitative Preference Clarity Category (Slight, Moderate, Clear, Very Clear), aligning
  *     with established psychometric reporting standards.
@@ -23,11 +26,16 @@
  *     -   Its alignment with the user's IRT-derived E-I, S-N, and T-F preferences (weighted by clarity).
  *     -   Its alignment with the user's self-reported strengths for individual cognitive functions
  *         (e.g., Ti, Ne, Si, Fe), with these strengths dynamically weighted by their theoretical position
- *         within that specific 8-function stack (Dominant, Auxiliary, Tertiary, Inferior).
+ *         within that specific function stack (Dominant, Auxiliary, Tertiary, Inferior, and the shadow
+ *         positions for models that include them). The stacks come from a pluggable typology model
+ *         (see typologyModels.js).
  *     This integrated approach ensures the derived type reflects a cohesive cognitive architecture,
  *     providing a more accurate and theoretically consistent understanding of an individual's
  *     functional preferences, especially for the J-P dichotomy which emerges naturally from the
  *     stack's orientation to the outer world.
+ * 5.  **Facet Subscores:** Within each measured dichotomy, the items sharing a facet (e.g.
+ *     'Practical / Conceptual') are scored on their own, and facets that lean against the
+ *     overall preference are flagged as out-of-preference. They are reported, not used for typing.
  *
  * This engine represents a proud leap forward in creating a psychometrically sound,
  * function-centric personality assessment that truly reflects the dynamic interplay
@@ -35,35 +43,86 @@
  */
 
 import { itemParameters } from './itemParameterMatrix.js';
-
-// --- Static Data & Type Stacks ---
-// A comprehensive map of all 16 valid Myers-Jung types and their corresponding 4-function stacks.
-// This is the bedrock for our holistic scoring approach, reflecting the precise hierarchical order.
-const TYPE_FUNCTION_STACKS = {
-    'INTP': ['Ti', 'Ne', 'Si', 'Fe'], 'ENTP': ['Ne', 'Ti', 'Fe', 'Si'],
-    'ISTP': ['Ti', 'Se', 'Ni', 'Fe'], 'ESTP': ['Se', 'Ti', 'Fe', 'Ni'],
-    'INFJ': ['Ni', 'Fe', 'Ti', 'Se'], 'ENFJ': ['Fe', 'Ni', 'Se', 'Ti'],
-    'INTJ': ['Ni', 'Te', 'Fi', 'Se'], 'ENTJ': ['Te', 'Ni', 'Se', 'Fi'],
-    'ISFP': ['Fi', 'Se', 'Ni', 'Te'], 'ESFP': ['Se', 'Fi', 'Te', 'Ni'],
-    'INFP': ['Fi', 'Ne', 'Si', 'Te'], 'ENFP': ['Ne', 'Fi', 'Te', 'Si'],
-    'ISTJ': ['Si', 'Te', 'Fi', 'Ne'], 'ESTJ': ['Te', 'Si', 'Ne', 'Fi'],
-    'ISFJ': ['Si', 'Fe', 'Ti', 'Ne'], 'ESFJ': ['Fe', 'Si', 'Ne', 'Ti']
-};
-
-// Configuration for the three core dichotomies measured by IRT, including tie-breaking rules.
-// Note: J-P is *not* included here, as its determination is emergent from the holistic stack scoring.
-const DICHOTOMY_CONFIG = {
+import { resolveScoringProfile } from './scoringProfiles.js';
+import { resolveTypologyModel } from './typologyModels.js';
+
+// Version of the scoring engine, stamped into exported result records so that results can be
+// traced back to (and re-scored against) the engine that produced them.
+export const ENGINE_VERSION = '2.3.0';
+
+// --- Static Data ---
+// The function stacks of the 16 types, and the weight of each stack position, are defined by
+// the typology model (see typologyModels.js); the 'four-function' model holds the original stacks.
+
+// Configuration for the dichotomies measured by IRT, including tie-breaking rules. The tie-breaker
+// decides a dichotomy whose theta is exactly zero, and between two types with equal fit scores the
+// one holding the tie-breaker letter of the first dichotomy (in this order) they differ on wins.
+// Note: J-P is marked `optional`. It is only estimated when its optional item block was answered,
+// and it never feeds the stack scoring: the type's J-P letter stays emergent from the holistic
+// stack scoring, and the IRT J-P is reported alongside it so the two can be compared.
+export const DICHOTOMY_CONFIG = {
     'E-I': { poles: ['E', 'I'], tieBreaker: 'I' }, // Tie-breaker for E-I defaults to Introversion
     'S-N': { poles: ['S', 'N'], tieBreaker: 'N' }, // Tie-breaker for S-N defaults to Intuition
-    'T-F': { poles: ['T', 'F'], tieBreaker: 'F' }  // Tie-breaker for T-F defaults to Feeling
+    'T-F': { poles: ['T', 'F'], tieBreaker: 'F' }, // Tie-breaker for T-F defaults to Feeling
+    'J-P': { poles: ['J', 'P'], tieBreaker: 'P', optional: true } // Tie-breaker for J-P defaults to Perceiving
+};
+
+// The weights applied to the attitude strengths by stack position, the Likert answer weights,
+// the IRT clarity weighting and the PCC cut-offs are defined by the scoring profile
+// (see scoringProfiles.js); the 'standard' profile holds the engine's original values.
+
+// Default coverage of the confidence interval reported around each dichotomy theta.
+// Callers may request a different level through the `confidenceLevel` option.
+const DEFAULT_CONFIDENCE_LEVEL = 0.95;
+
+// Converting type fit scores into a probability-like distribution: scores are divided by this
+// temperature before a softmax, so a fit-score gap of one temperature unit makes the runner-up
+// about e (~2.7) times less likely than the best fit.
+const TYPE_DISTRIBUTION_TEMPERATURE = 5;
+// Fit scores closer than this are treated as an exact tie, so that rounding in the sums cannot
+// decide between two types; ties go to the dichotomy tie-breakers. How close a runner-up must be
+// to make the result borderline is set by the scoring profile's `borderlineMargins`.
+const TYPE_SCORE_TIE_TOLERANCE = 1e-9;
+// The explanation lists this many of the items that moved each dichotomy theta the most.
+const EXPLANATION_ITEM_COUNT = 3;
+
+// Facet subscores: a facet theta closer to zero than `midzone` has no clear direction, and one
+// at least `clear` away from zero is a clear lean. Facets rest on one to six items, so their
+// thetas are always EAP estimates, which stay finite and shrink towards the prior.
+const FACET_STRENGTH_CUTOFFS = { midzone: 0.3, clear: 0.9 };
+
+// Default theta estimation settings. MLE preserves the engine's original behaviour; the Bayesian
+// estimators ('eap', 'map') use the normal prior and, for EAP, the number of quadrature points.
+const THETA_ESTIMATORS = ['mle', 'eap', 'map'];
+export const DEFAULT_ESTIMATION = {
+    estimator: 'mle',
+    prior: { mean: 0, sd: 1 },
+    quadraturePoints: 61
 };
 
-// Weights applied to the Likert-scale-derived attitude strengths based on their
-// theoretical position in a given function stack (Dominant, Auxiliary, Tertiary, Inferior).
-// These weights enhance the model's ability to discern the most probable type by prioritizing
-// alignment with the most conscious and impactful functions.
-const ATTITUDE_SCORE_WEIGHT = 1.0;
-const ATTITUDE_STACK_POSITION_WEIGHT = { dom: 5, aux: 3, ter: 1, inf: 0.5 }; // Higher weight for dominant/auxiliary functions
+/**
+ * Merges caller-supplied estimation settings with the defaults and checks them.
+ * @param {Object} estimation - Partial estimation settings ({ estimator, prior, quadraturePoints }).
+ * @returns {Object} The complete, validated settings.
+ * @throws {Error} If the estimator is unknown or the prior/quadrature settings are unusable.
+ */
+function resolveEstimation(estimation) {
+    const resolved = {
+        estimator: estimation.estimator ?? DEFAULT_ESTIMATION.estimator,
+        prior: { ...DEFAULT_ESTIMATION.prior, ...estimation.prior },
+        quadraturePoints: estimation.quadraturePoints ?? DEFAULT_ESTIMATION.quadraturePoints
+    };
+    if (!THETA_ESTIMATORS.includes(resolved.estimator)) {
+        throw new Error(`Unknown theta estimator "${resolved.estimator}". Expected one of: ${THETA_ESTIMATORS.join(', ')}.`);
+    }
+    if (!(resolved.prior.sd > 0) || !Number.isFinite(resolved.prior.mean)) {
+        throw new Error('The theta prior needs a finite mean and a positive standard deviation.');
+    }
+    if (!Number.isInteger(resolved.quadraturePoints) || resolved.quadraturePoints < 3) {
+        throw new Error('EAP estimation needs at least 3 quadrature points.');
+    }
+    return resolved;
+}
 
 /**
  * Calculates a dynamic weight based on the PCI (Preference Clarity Index).
@@ -71,15 +130,16 @@ const ATTITUDE_STACK_POSITION_WEIGHT = { dom: 5, aux: 3, ter: 1, inf: 0.5 }; //
  * increases, but at a decreasing rate. This provides a nuanced influence curve,
  * giving higher clarity scores a more significant, but not overwhelming, voice
  * in the overall type determination.
- * The formula is f(pci) = 2.15 * ln(pci) + 1.
+ * The formula is f(pci) = scale * ln(pci) + offset; the standard profile uses 2.15 * ln(pci) + 1.
  * This starts the weight at 1 for pci=1, and it grows to approximately 8 for pci=30,
  * with a noticeable increase around pci=5, as empirically observed in data clarity.
  * @param {number} pci - The Preference Clarity Index, ranging from 1 to 30.
+ * @param {Object} clarityWeight - The profile's { scale, offset }.
  * @returns {number} The calculated weight for the IRT score.
  */
-function getIrtClarityWeight(pci) {
-    if (pci <= 0) return 1; // Guard against log(0) or negative values, ensuring a minimum weight.
-    return 2.15 * Math.log(pci) + 1;
+function getIrtClarityWeight(pci, { scale, offset }) {
+    if (pci <= 0) return offset; // Guard against log(0) or negative values, ensuring a minimum weight.
+    return scale * Math.log(pci) + offset;
 }
 
 
@@ -89,7 +149,7 @@ function getIrtClarityWeight(pci) {
 const dichotomyToQuestionMap = new Map();
 for (const [index, params] of Object.entries(itemParameters)) {
     const dichotomyName = params.dichotomy;
-    // Only map for the dichotomies explicitly configured for IRT (E-I, S-N, T-F)
+    // Only map for the dichotomies explicitly configured for IRT (E-I, S-N, T-F and optional J-P)
     if (DICHOTOMY_CONFIG[dichotomyName]) {
         if (!dichotomyToQuestionMap.has(dichotomyName)) {
             dichotomyToQuestionMap.set(dichotomyName, []);
@@ -105,55 +165,129 @@ for (const [index, params] of Object.entries(itemParameters)) {
  * @param {number} b - The difficulty/location parameter for the item.
  * @returns {number} The probability of a positive response.
  */
-function probability(theta, a, b) {
+export function probability(theta, a, b) {
     return 1 / (1 + Math.exp(-a * (theta - b)));
 }
 
+/**
+ * Calculates the Fisher information an item contributes at a given theta under the 2PL model.
+ * Information peaks where theta equals the item's location 'b' and grows with the square of 'a'.
+ * @param {number} theta - The latent trait level at which to evaluate the item.
+ * @param {number} a - The discrimination parameter for the item.
+ * @param {number} b - The difficulty/location parameter for the item.
+ * @returns {number} The item information I(theta) = a^2 * P * (1 - P).
+ */
+export function itemInformation(theta, a, b) {
+    const P = probability(theta, a, b);
+    return a * a * P * (1 - P);
+}
+
+/**
+ * [PUBLIC] Calculates the quantile (inverse CDF) of the standard normal distribution.
+ * Uses Acklam's rational approximation, which is accurate to about 1e-9 over (0, 1)
+ * and is more than sufficient for building confidence intervals.
+ * @param {number} p - The cumulative probability, strictly between 0 and 1.
+ * @returns {number} The z value such that P(Z <= z) = p.
+ */
+export function normalQuantile(p) {
+    const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+    const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+    const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+    const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+    const pLow = 0.02425;
+
+    if (p < pLow) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - pLow) {
+        return -normalQuantile(1 - p);
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Converts a theta value into a Preference Clarity Index (PCI).
+ * The PCI scales the absolute theta linearly onto 1-30, with a minimum of 1 for neutrality
+ * and a ceiling of 30 so that interval bounds beyond the +/-3 theta range stay on the scale.
+ * @param {number} theta - The theta value (or interval bound) to convert.
+ * @returns {number} The PCI, an integer from 1 to 30.
+ */
+function thetaToPci(theta) {
+    if (theta === 0) return 1;
+    return Math.min(30, Math.max(1, Math.round((Math.abs(theta) / 3.0) * 30)));
+}
+
 /**
  * Converts a PCI score to a qualitative Preference Clarity Category.
  * These ranges are meticulously aligned with official psychometric reporting standards
  * to provide a meaningful interpretation of preference strength.
  * @param {number} pci - The Preference Clarity Index (1-30).
+ * @param {Object} cutoffs - The profile's lowest PCI per category ({ veryClear, clear, moderate }).
  * @returns {string} The Preference Clarity Category (Slight, Moderate, Clear, Very Clear).
  */
-function getPccCategory(pci) {
-    if (pci >= 26) return "Very Clear";
-    if (pci >= 16) return "Clear";
-    if (pci >= 6) return "Moderate";
+function getPccCategory(pci, cutoffs) {
+    if (pci >= cutoffs.veryClear) return "Very Clear";
+    if (pci >= cutoffs.clear) return "Clear";
+    if (pci >= cutoffs.moderate) return "Moderate";
     return "Slight";
 }
 
 /**
- * Estimates theta for a given dichotomy using the Newton-Raphson method.
- * This iterative numerical optimization method is employed to find the maximum
- * likelihood estimate of a person's latent trait (theta) for a specific dichotomy,
- * providing greater precision and efficiency than a simple grid search.
- * It utilizes the first and second derivatives of the log-likelihood function.
+ * [PUBLIC] Collects the answered items of a dichotomy with their 2PL parameters and scored responses.
  * @param {string} dichotomyName - The name of the dichotomy (e.g., 'E-I').
  * @param {Object} mbtiAnswers - User's answers for MBTI questions (questionIndex: {choice}).
  * @param {Array} allMbtiQuestions - Full MBTI questions data for reference.
- * @returns {number} The estimated theta value.
+ * @returns {Array} The answered items as { number, a, b, u } objects, where u is the 0/1 score key.
  */
-function findBestThetaForDichotomy(dichotomyName, mbtiAnswers, allMbtiQuestions) {
+export function collectDichotomyItems(dichotomyName, mbtiAnswers, allMbtiQuestions) {
     const allDichotomyIndices = dichotomyToQuestionMap.get(dichotomyName) || [];
     const answeredQuestionIndices = allDichotomyIndices.filter(qIndex => mbtiAnswers[qIndex + 1]);
 
-    if (answeredQuestionIndices.length === 0) {
-        // If no questions were answered for this dichotomy, a neutral theta of 0 is returned.
-        // This is a robust way to handle omissions without penalizing the user.
-        return 0;
-    }
-
-    const items = answeredQuestionIndices.map(qIndex => {
+    return answeredQuestionIndices.map(qIndex => {
         const params = itemParameters[qIndex];
         const answer = mbtiAnswers[qIndex + 1];
         // Note: allMbtiQuestions is an array, question number is 1-based, index is 0-based
         const questionData = allMbtiQuestions.find(q => q.number === (qIndex + 1));
         const userScoreKey = questionData.options[answer.choice].scoreKey;
-        return { a: params.params.a, b: params.params.b, u: userScoreKey };
+        return { number: qIndex + 1, a: params.params.a, b: params.params.b, u: userScoreKey };
     });
+}
+
+/**
+ * Calculates the log-likelihood of a response pattern at a given theta.
+ * @param {number} theta - The latent trait level.
+ * @param {Array} items - The answered items as { a, b, u } objects.
+ * @returns {number} The log-likelihood.
+ */
+function logLikelihood(theta, items) {
+    return items.reduce((sum, { a, b, u }) => {
+        const P = probability(theta, a, b);
+        return sum + (u === 1 ? Math.log(P) : Math.log(1 - P));
+    }, 0);
+}
+
+/**
+ * Estimates theta using the Newton-Raphson method.
+ * This iterative numerical optimization method is employed to find the maximum
+ * likelihood estimate of a person's latent trait (theta) for a specific dichotomy,
+ * providing greater precision and efficiency than a simple grid search.
+ * It utilizes the first and second derivatives of the log-likelihood function, and the
+ * test information at the final estimate (the negative second derivative) yields its standard error.
+ * When a normal prior is supplied, its log-density is added to the log-likelihood and the
+ * same iteration finds the posterior mode (MAP) instead.
+ * @param {Array} items - The answered items as { a, b, u } objects.
+ * @param {Object|null} prior - The normal prior { mean, sd } for MAP, or null for MLE.
+ * @returns {{theta: number, standardError: number}} The estimated theta and its standard error.
+ */
+function newtonRaphsonTheta(items, prior) {
+    const priorPrecision = prior ? 1 / (prior.sd * prior.sd) : 0;
 
-    let theta = 0.0; // Initial guess for theta
+    let theta = prior ? prior.mean : 0.0; // Initial guess for theta
     // Iterate 20 times for convergence, a common practice for stability.
     for (let iter = 0; iter < 20; iter++) {
         let firstDerivative = 0.0; // The 'score function'
@@ -167,6 +301,11 @@ function findBestThetaForDichotomy(dichotomyName, mbtiAnswers, allMbtiQuestions)
             firstDerivative += a * (u - P);
             secondDerivative += -a * a * (1 - P) * P; // Note the negative sign for maximizing log-likelihood
         }
+        if (prior) {
+            // The normal prior pulls theta towards its mean and keeps the Hessian strictly negative.
+            firstDerivative += -(theta - prior.mean) * priorPrecision;
+            secondDerivative += -priorPrecision;
+        }
 
         // Avoid division by zero or near-zero, which indicates a flat likelihood function or convergence.
         if (Math.abs(secondDerivative) < 1e-9) break;
@@ -182,12 +321,366 @@ function findBestThetaForDichotomy(dichotomyName, mbtiAnswers, allMbtiQuestions)
         }
         theta = clampedTheta;
     }
-    return theta;
+
+    // The information at the final estimate (plus the prior's, for MAP) determines the precision of theta.
+    const information = items.reduce((sum, { a, b }) => sum + itemInformation(theta, a, b), 0) + priorPrecision;
+    const standardError = information > 1e-9 ? 1 / Math.sqrt(information) : Infinity;
+    return { theta, standardError };
+}
+
+/**
+ * Estimates theta as the Expected A Posteriori (EAP) value by numerical quadrature.
+ * The posterior is evaluated on an evenly spaced grid spanning the prior mean +/- 4 SD;
+ * its mean is the estimate and its standard deviation the standard error. Unlike the MLE,
+ * the EAP is always finite, including for all-one-pole and very short response patterns.
+ * @param {Array} items - The answered items as { a, b, u } objects.
+ * @param {Object} prior - The normal prior { mean, sd }.
+ * @param {number} quadraturePoints - The number of grid points.
+ * @returns {{theta: number, standardError: number}} The posterior mean and posterior SD.
+ */
+function expectedAPosterioriTheta(items, prior, quadraturePoints) {
+    const lowest = prior.mean - 4 * prior.sd;
+    const step = (8 * prior.sd) / (quadraturePoints - 1);
+
+    const nodes = [];
+    for (let k = 0; k < quadraturePoints; k++) {
+        const theta = lowest + k * step;
+        const z = (theta - prior.mean) / prior.sd;
+        nodes.push({ theta, logPosterior: logLikelihood(theta, items) - 0.5 * z * z });
+    }
+    // Subtract the largest log-posterior before exponentiating to avoid underflow.
+    const maxLog = Math.max(...nodes.map(n => n.logPosterior));
+    let total = 0, mean = 0, secondMoment = 0;
+    for (const { theta, logPosterior } of nodes) {
+        const weight = Math.exp(logPosterior - maxLog);
+        total += weight;
+        mean += weight * theta;
+        secondMoment += weight * theta * theta;
+    }
+    mean /= total;
+    const variance = Math.max(0, secondMoment / total - mean * mean);
+    return { theta: mean, standardError: Math.sqrt(variance) };
+}
+
+/**
+ * [PUBLIC] Estimates theta and its standard error for a given dichotomy.
+ * Three estimators are available:
+ * - 'mle': Newton-Raphson maximum likelihood. Extreme patterns run into the +/-3 clamp,
+ *   and a dichotomy with no answers returns a neutral 0 with an infinite standard error.
+ * - 'map': Newton-Raphson posterior mode under a normal prior.
+ * - 'eap': Posterior mean by quadrature under a normal prior.
+ * Both Bayesian estimators stay finite for extreme patterns and fall back to the prior
+ * (its mean and SD) when nothing was answered.
+ * @param {string} dichotomyName - The name of the dichotomy (e.g., 'E-I').
+ * @param {Object} mbtiAnswers - User's answers for MBTI questions (questionIndex: {choice}).
+ * @param {Array} allMbtiQuestions - Full MBTI questions data for reference.
+ * @param {Object} [estimation] - Estimator settings; see DEFAULT_ESTIMATION for the defaults.
+ * @returns {{theta: number, standardError: number}} The estimated theta and its standard error.
+ */
+export function findBestThetaForDichotomy(dichotomyName, mbtiAnswers, allMbtiQuestions, estimation = {}) {
+    const items = collectDichotomyItems(dichotomyName, mbtiAnswers, allMbtiQuestions);
+    return estimateTheta(items, resolveEstimation(estimation));
+}
+
+/**
+ * Runs the selected estimator on a set of answered items.
+ * @param {Array} items - The answered items as { a, b, u } objects.
+ * @param {Object} estimation - The resolved estimation settings.
+ * @returns {{theta: number, standardError: number}} The estimated theta and its standard error.
+ */
+function estimateTheta(items, { estimator, prior, quadraturePoints }) {
+    switch (estimator) {
+        case 'eap':
+            return expectedAPosterioriTheta(items, prior, quadraturePoints);
+        case 'map':
+            return newtonRaphsonTheta(items, prior);
+        default:
+            if (items.length === 0) {
+                // If no questions were answered for this dichotomy, a neutral theta of 0 is returned.
+                // This is a robust way to handle omissions without penalizing the user.
+                return { theta: 0, standardError: Infinity };
+            }
+            return newtonRaphsonTheta(items, null);
+    }
+}
+
+/**
+ * Scores the facets within each measured dichotomy from the items tagged with that facet.
+ * A facet label such as 'Practical / Conceptual' names the lean towards the dichotomy's first
+ * pole before the slash and the lean towards its second pole after it.
+ * @param {Object} mbtiAnswers - User's answers for MBTI questions (questionNumber: {choice}).
+ * @param {Array} allMbtiQuestions - Full MBTI questions data, with each item's `facet`.
+ * @param {Object} coreResults - The per-dichotomy IRT results, for the overall preferences.
+ * @param {Object} estimation - The resolved estimation settings; facets use its prior.
+ * @returns {Array} One entry per answered facet, grouped by dichotomy in bank order:
+ *                  { dichotomy, facet, poleLabels, items, theta, standardError, direction,
+ *                  directionLabel, strength, outOfPreference }, where direction is the pole the
+ *                  facet leans to (null in the midzone) and strength is 'midzone', 'moderate' or 'clear'.
+ */
+function scoreFacets(mbtiAnswers, allMbtiQuestions, coreResults, estimation) {
+    const facets = [];
+    for (const [dichotomy, core] of Object.entries(coreResults)) {
+        const { poles } = DICHOTOMY_CONFIG[dichotomy];
+        const groups = new Map();
+        for (const q of allMbtiQuestions) {
+            const entry = itemParameters[q.number - 1];
+            const answer = mbtiAnswers[q.number];
+            if (!q.facet || !answer || entry?.dichotomy !== dichotomy) continue;
+            if (!groups.has(q.facet)) groups.set(q.facet, []);
+            groups.get(q.facet).push({ a: entry.params.a, b: entry.params.b, u: q.options[answer.choice].scoreKey });
+        }
+
+        for (const [facet, items] of groups) {
+            const { theta, standardError } = expectedAPosterioriTheta(items, estimation.prior, estimation.quadraturePoints);
+            const [firstLabel, secondLabel = firstLabel] = facet.split('/').map(label => label.trim());
+            const magnitude = Math.abs(theta);
+            const direction = magnitude < FACET_STRENGTH_CUTOFFS.midzone ? null : theta > 0 ? poles[0] : poles[1];
+            facets.push({
+                dichotomy,
+                facet,
+                poleLabels: { [poles[0]]: firstLabel, [poles[1]]: secondLabel },
+                items: items.length,
+                theta,
+                standardError,
+                direction,
+                directionLabel: direction ? (direction === poles[0] ? firstLabel : secondLabel) : null,
+                strength: direction === null ? 'midzone' : magnitude >= FACET_STRENGTH_CUTOFFS.clear ? 'clear' : 'moderate',
+                outOfPreference: direction !== null && direction !== core.preference
+            });
+        }
+    }
+    return facets;
+}
+
+/**
+ * Orders two types by the dichotomy tie-breakers: the first dichotomy (in DICHOTOMY_CONFIG
+ * order) on which they differ decides, in favour of the type holding its tie-breaker letter.
+ * @param {string} typeA - The first type code.
+ * @param {string} typeB - The second type code.
+ * @returns {number} Negative if typeA wins the tie, positive if typeB does, 0 if they are equal.
+ */
+function compareByTieBreakers(typeA, typeB) {
+    for (const { poles, tieBreaker } of Object.values(DICHOTOMY_CONFIG)) {
+        const letterA = poles.find(pole => typeA.includes(pole));
+        const letterB = poles.find(pole => typeB.includes(pole));
+        if (letterA !== letterB) return letterA === tieBreaker ? -1 : 1;
+    }
+    return 0;
+}
+
+/**
+ * Turns the fit scores of all types into a normalized, probability-like distribution.
+ * A softmax is used so that the ordering of the scores is preserved and the values sum to 1;
+ * the values express relative fit, not calibrated probabilities of "being" a type.
+ * Tied scores are ordered by the dichotomy tie-breakers, so the first entry is the best fit.
+ * @param {Object} typeScores - Fit score per type.
+ * @returns {Array} Entries { type, score, probability, margin } sorted from best to worst fit,
+ *                  where margin is the score gap to the best fit.
+ */
+function buildTypeDistribution(typeScores) {
+    const entries = Object.entries(typeScores).sort(([typeA, x], [typeB, y]) =>
+        Math.abs(x - y) <= TYPE_SCORE_TIE_TOLERANCE ? compareByTieBreakers(typeA, typeB) : y - x);
+    const bestScore = entries[0][1];
+    // Shifting by the best score keeps every exponent <= 0 and avoids overflow.
+    const weights = entries.map(([, score]) => Math.exp((score - bestScore) / TYPE_DISTRIBUTION_TEMPERATURE));
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    return entries.map(([type, score], i) => ({
+        type,
+        score,
+        probability: weights[i] / total,
+        margin: bestScore - score
+    }));
+}
+
+/**
+ * Decides whether the result is a best fit between two types rather than a single type.
+ * The alternative is the best-scoring type that either scores within the type-score margin of
+ * the best fit, or differs from it only on a borderline dichotomy (theta within the theta margin).
+ * Only the dichotomies that feed the stack scoring are considered; the optional J-P is not.
+ * @param {Array} typeDistribution - The types sorted from best to worst fit.
+ * @param {Object} coreResults - The per-dichotomy IRT results, with their `borderline` flags.
+ * @param {Object} margins - The profile's `borderlineMargins` ({ theta, typeScore }).
+ * @returns {Object|null} { types, margin, borderlineDichotomies, reasons, details, message }, or
+ *                        null when the best fit stands clear of every alternative. `details` gives
+ *                        each reason as data ({ kind: 'borderline', dichotomy }, { kind: 'tie' } or
+ *                        { kind: 'close' }) for displays that word the reasons themselves.
+ */
+function findBorderlineOutcome(typeDistribution, coreResults, margins) {
+    const [best] = typeDistribution;
+    const borderlineDichotomies = Object.keys(coreResults)
+        .filter(d => !DICHOTOMY_CONFIG[d].optional && coreResults[d].borderline);
+
+    const reasonsByType = new Map();
+    const addReason = (type, reason, detail) => reasonsByType.set(type, [...(reasonsByType.get(type) || []), { reason, detail }]);
+    for (const dichotomy of borderlineDichotomies) {
+        const [first, second] = DICHOTOMY_CONFIG[dichotomy].poles;
+        const flipped = best.type.includes(first) ? best.type.replace(first, second) : best.type.replace(second, first);
+        const { theta } = coreResults[dichotomy];
+        addReason(flipped, `${dichotomy} is borderline (θ ${theta >= 0 ? '+' : ''}${theta.toFixed(2)})`, { kind: 'borderline', dichotomy });
+    }
+    // An exact tie is always borderline, even with a type-score margin of zero.
+    const isTied = entry => entry.margin <= TYPE_SCORE_TIE_TOLERANCE;
+    const isClose = entry => isTied(entry) || entry.margin < margins.typeScore;
+    const alternative = typeDistribution.slice(1).find(entry => isClose(entry) || reasonsByType.has(entry.type));
+    if (!alternative) return null;
+    if (isTied(alternative)) {
+        addReason(alternative.type, `${alternative.type} ties with ${best.type}, which the dichotomy tie-breakers favour`, { kind: 'tie' });
+    } else if (isClose(alternative)) {
+        addReason(alternative.type, `${alternative.type} scores within ${alternative.margin.toFixed(2)} points of ${best.type}`, { kind: 'close' });
+    }
+
+    const reasons = reasonsByType.get(alternative.type).map(({ reason }) => reason);
+    return {
+        types: [best.type, alternative.type],
+        margin: alternative.margin,
+        borderlineDichotomies,
+        reasons,
+        details: reasonsByType.get(alternative.type).map(({ detail }) => detail),
+        message: `Best fit between ${best.type} and ${alternative.type}: ${reasons.join('; ')}.`
+    };
+}
+
+/**
+ * Scores one candidate type's stack against the evidence and itemizes where the points came from.
+ * Part A matches the type's letters with the core IRT dichotomies (E-I, S-N, T-F): the IRT theta
+ * provides a powerful, empirically grounded measure of preference, weighted by its clarity (PCI)
+ * to give more confidence to clearer preferences. Part B aligns the type's stack with the raw
+ * attitude strengths, weighted by stack position, giving higher preference to types whose
+ * theoretical dominant and auxiliary functions strongly align with the user's highest
+ * self-reported function strengths. This is crucial for functionally deriving the J-P preference.
+ * Models with shadow positions give those negative weights, so endorsing them counts against the type.
+ * @param {string} type - The four-letter type code.
+ * @param {Array} stack - The type's functions, in the model's position order.
+ * @param {Object} coreResults - The per-dichotomy IRT results.
+ * @param {Object} attitudeStrengths - Raw Likert strength per function.
+ * @param {Object} model - The resolved typology model.
+ * @param {Object} positionWeights - Weight per stack position.
+ * @param {Object} profile - The resolved scoring profile.
+ * @returns {Object} { score, contributions }, contributions being { source: 'dichotomy', dichotomy,
+ *                   letter, theta, weight, points } and { source: 'function', position, label,
+ *                   function, strength, weight, points } entries that add up to the score.
+ */
+function scoreTypeStack(type, stack, coreResults, attitudeStrengths, model, positionWeights, profile) {
+    const contributions = [];
+    let score = 0;
+    for (const [dichotomy, { poles, optional }] of Object.entries(DICHOTOMY_CONFIG)) {
+        if (optional) continue; // The optional J-P never feeds the stack scoring.
+        const { theta, pci } = coreResults[dichotomy];
+        const letter = poles.find(pole => type.includes(pole));
+        const weight = getIrtClarityWeight(pci, profile.irtClarityWeight);
+        const points = (letter === poles[0] ? theta : -theta) * weight; // Positive theta favours the first pole
+        contributions.push({ source: 'dichotomy', dichotomy, letter, theta, weight, points });
+        score += points;
+    }
+
+    let attitudeScore = 0;
+    model.positions.forEach(({ key, label }, i) => {
+        const fn = stack[i];
+        const positionScore = attitudeStrengths[fn] * positionWeights[key];
+        const weight = positionWeights[key] * profile.attitudeScoreWeight;
+        contributions.push({ source: 'function', position: key, label, function: fn, strength: attitudeStrengths[fn], weight, points: positionScore * profile.attitudeScoreWeight });
+        attitudeScore += positionScore;
+    });
+    score += attitudeScore * profile.attitudeScoreWeight;
+    return { score, contributions };
+}
+
+/**
+ * Finds the answered items of a dichotomy that moved its theta the most, by re-estimating the
+ * theta without each item in turn: an item's shift is the full theta minus the theta without it.
+ * @param {string} dichotomy - The name of the dichotomy (e.g., 'E-I').
+ * @param {number} theta - The dichotomy's theta from all answered items.
+ * @param {Object} mbtiAnswers - User's answers for MBTI questions (questionNumber: {choice}).
+ * @param {Array} allMbtiQuestions - Full MBTI questions data.
+ * @param {Object} estimation - The resolved estimation settings.
+ * @returns {Array} Up to EXPLANATION_ITEM_COUNT entries { number, question, choice, optionText,
+ *                  otherText, pole, shift }, largest absolute shift first; question is null for
+ *                  word-pair items.
+ */
+function findInfluentialItems(dichotomy, theta, mbtiAnswers, allMbtiQuestions, estimation) {
+    const items = collectDichotomyItems(dichotomy, mbtiAnswers, allMbtiQuestions);
+    return items
+        .map((item, i) => {
+            const q = allMbtiQuestions.find(question => question.number === item.number);
+            const choice = mbtiAnswers[item.number].choice;
+            const other = choice === 'A' ? 'B' : 'A';
+            const without = estimateTheta(items.filter((_, j) => j !== i), estimation).theta;
+            return {
+                number: item.number,
+                question: q.question || null,
+                choice,
+                optionText: q.options[choice].text,
+                otherText: q.options[other].text,
+                pole: q.options[choice].pole,
+                shift: theta - without
+            };
+        })
+        .sort((x, y) => Math.abs(y.shift) - Math.abs(x.shift))
+        .slice(0, EXPLANATION_ITEM_COUNT);
+}
+
+/**
+ * Builds the confidence interval around a dichotomy theta and carries it into PCI/PCC bands.
+ * The bands describe the strength of the reported preference: if the interval crosses zero the
+ * preference itself is uncertain, the dichotomy is flagged as indeterminate and the lower PCI
+ * bound falls to 1 (no clarity). When the standard error is not finite (an all-one-way pattern
+ * under MLE) the interval spans every theta and says nothing about clarity, so both bands are null.
+ * @param {number} theta - The estimated theta.
+ * @param {number} standardError - The standard error of the estimate.
+ * @param {number} confidenceLevel - The two-sided coverage of the interval (e.g., 0.95).
+ * @param {Object} pccCutoffs - The scoring profile's PCC cut-offs.
+ * @returns {Object} The interval, PCI and PCC bands (null when not applicable), and the indeterminate flag.
+ */
+function buildConfidenceBand(theta, standardError, confidenceLevel, pccCutoffs) {
+    const z = normalQuantile(1 - (1 - confidenceLevel) / 2);
+    const lower = theta - z * standardError;
+    const upper = theta + z * standardError;
+    const indeterminate = lower <= 0 && upper >= 0;
+    if (!Number.isFinite(standardError)) {
+        return { confidenceInterval: { level: confidenceLevel, lower, upper }, pciBand: null, pccBand: null, indeterminate };
+    }
+
+    // The bound on the same side as the preference is the strongest plausible clarity,
+    // and the other bound the weakest (or none, when the interval crosses zero).
+    const strongest = theta >= 0 ? upper : lower;
+    const weakest = theta >= 0 ? lower : upper;
+    const pciBand = {
+        lower: indeterminate ? 1 : thetaToPci(weakest),
+        upper: thetaToPci(strongest)
+    };
+
+    return {
+        confidenceInterval: { level: confidenceLevel, lower, upper },
+        pciBand,
+        pccBand: { lower: getPccCategory(pciBand.lower, pccCutoffs), upper: getPccCategory(pciBand.upper, pccCutoffs) },
+        indeterminate
+    };
 }
 
 
 // --- THE FINAL HOLISTIC SCORING ENGINE ---
 
+/**
+ * Scores one answered attitude item.
+ * The response's points come from the profile's `likertWeights`, multiplied by the item's
+ * `weight` (default 1) and negated for a `reverseKeyed` item. Positive points go to construct1.
+ * Negative points go to construct2 of a pair item; a single-construct agreement item (one
+ * without construct2) simply does not award them. Either way every construct of the item can
+ * attain the largest weight, so disagreement lowers a function's normalized strength.
+ * @param {Object} q - The attitude question ({ construct1, construct2?, weight?, reverseKeyed? }).
+ * @param {string} choice - The response, '1' to '5'.
+ * @param {Object} likertWeights - The profile's points per response.
+ * @returns {Array<Object>} One { pole, points, attainable } per construct of the item.
+ */
+function scoreAttitudeItem(q, choice, likertWeights) {
+    const weight = q.weight ?? 1;
+    const points = likertWeights[choice] * weight * (q.reverseKeyed ? -1 : 1);
+    const attainable = Math.max(...Object.values(likertWeights).map(Math.abs)) * weight;
+    const scored = [{ pole: q.construct1.pole, points: Math.max(points, 0), attainable }];
+    if (q.construct2) scored.push({ pole: q.construct2.pole, points: Math.max(-points, 0), attainable });
+    return scored;
+}
+
 /**
  * [PUBLIC] Main scoring function implementing the innovative Holistic Stack Scoring logic.
  * This function is the proud culmination of combining IRT-based dichotomy measurements
@@ -198,100 +691,166 @@ function findBestThetaForDichotomy(dichotomyName, mbtiAnswers, allMbtiQuestions)
  * @param {Object} attitudeAnswers - User's answers for Likert-scale questions assessing individual function attitudes.
  * @param {Array} allMbtiQuestions - Full MBTI questions data.
  * @param {Array} allAttitudeQuestions - Full attitude questions data.
+ * @param {Object} [options] - Optional scoring settings.
+ * @param {number} [options.confidenceLevel=0.95] - Coverage of the confidence interval around each theta.
+ * @param {string} [options.estimator='mle'] - Theta estimator: 'mle', 'eap' or 'map'.
+ * @param {Object} [options.prior] - Normal prior { mean, sd } for the 'eap' and 'map' estimators.
+ * @param {number} [options.quadraturePoints] - Number of quadrature points for the 'eap' estimator.
+ * @param {string|Object} [options.scoringProfile='standard'] - A built-in profile name or a
+ *        (partial) profile object with the weights and cut-offs to score with (see scoringProfiles.js).
+ * @param {string|Object} [options.typologyModel='four-function'] - A built-in typology model name or a
+ *        custom model object defining the function stacks to score (see typologyModels.js).
  * @returns {Object} An object containing the final determined type, its function stack,
- *                   an overall fit score, and a detailed rationale.
+ *                   an overall fit score, per-dichotomy precision estimates, and a detailed rationale.
  */
-export function calculateHybridResults(mbtiAnswers, attitudeAnswers, allMbtiQuestions, allAttitudeQuestions) {
+export function calculateHybridResults(mbtiAnswers, attitudeAnswers, allMbtiQuestions, allAttitudeQuestions, options = {}) {
+    const { confidenceLevel = DEFAULT_CONFIDENCE_LEVEL } = options;
+    const estimation = resolveEstimation({
+        estimator: options.estimator,
+        prior: options.prior,
+        quadraturePoints: options.quadraturePoints
+    });
+    const profile = resolveScoringProfile(options.scoringProfile);
+    const model = resolveTypologyModel(options.typologyModel);
+    // The profile may re-weight individual stack positions; all others keep the model's weights.
+    const positionWeights = { ...model.positionWeights, ...profile.stackPositionWeights };
 
     // --- Step 1: Calculate Core Dichotomy Strengths (IRT) ---
-    // Perform precise IRT estimation for E-I, S-N, and T-F dichotomies.
+    // Perform precise IRT estimation for E-I, S-N, and T-F dichotomies (and J-P if its block was answered).
     // These IRT scores form the robust empirical foundation of our type determination.
+    // Each estimate carries its standard error and a confidence band on the PCI/PCC scale.
     const coreResults = {};
     for (const [dichotomy, config] of Object.entries(DICHOTOMY_CONFIG)) {
-        const theta = findBestThetaForDichotomy(dichotomy, mbtiAnswers, allMbtiQuestions);
-        // Calculate PCI based on the absolute theta, with a minimum PCI of 1 for neutrality.
-        const pci = theta === 0 ? 1 : Math.max(1, Math.round((Math.abs(theta) / 3.0) * 30));
-        coreResults[dichotomy] = { pcc: getPccCategory(pci), theta, pci };
+        const answeredAny = (dichotomyToQuestionMap.get(dichotomy) || []).some(qIndex => mbtiAnswers[qIndex + 1]);
+        if (config.optional && !answeredAny) continue;
+
+        const { theta, standardError } = findBestThetaForDichotomy(dichotomy, mbtiAnswers, allMbtiQuestions, estimation);
+        const pci = thetaToPci(theta);
+        coreResults[dichotomy] = {
+            // A theta of exactly zero carries no preference, so the configured tie-breaker decides.
+            preference: theta > 0 ? config.poles[0] : theta < 0 ? config.poles[1] : config.tieBreaker,
+            borderline: Math.abs(theta) < profile.borderlineMargins.theta,
+            pcc: getPccCategory(pci, profile.pccCutoffs),
+            theta,
+            pci,
+            standardError,
+            ...buildConfidenceBand(theta, standardError, confidenceLevel, profile.pccCutoffs)
+        };
     }
-    const { 'E-I': eiResult, 'S-N': snResult, 'T-F': tfResult } = coreResults;
+    const { 'E-I': eiResult, 'S-N': snResult, 'T-F': tfResult, 'J-P': jpResult } = coreResults;
+    // Facet subscores within each measured dichotomy; they are reported, not used for typing.
+    const facets = scoreFacets(mbtiAnswers, allMbtiQuestions, coreResults, estimation);
 
     // --- Step 2: Calculate Raw Attitude Strengths from Likert Scales ---
     // Aggregate user responses from Likert-scale questions to get initial raw strengths
     // for each of the 8 cognitive functions (e.g., Ti, Te, Fi, Fe, Si, Se, Ni, Ne).
-    // The `likertWeights` define how much each response choice contributes to the respective function's strength.
+    // The profile's `likertWeights` define how much each response choice is worth; each item scales that by
+    // its own `weight` and flips it when `reverseKeyed` (see scoreAttitudeItem). Pairs may contrast any two functions.
     const attitudeStrengths = { Ti: 0, Te: 0, Fi: 0, Fe: 0, Si: 0, Se: 0, Ni: 0, Ne: 0 };
-    const likertWeights = { '1': 2, '2': 1, '3': 0, '4': -1, '5': -2 }; // Note: answer.choice will be a string from input
+    // The most points each function could have collected from the answered items, used for normalization.
+    const attainableStrengths = { Ti: 0, Te: 0, Fi: 0, Fe: 0, Si: 0, Se: 0, Ni: 0, Ne: 0 };
     allAttitudeQuestions.forEach(q => {
         const answer = attitudeAnswers[q.id];
-        if (answer && answer.choice) {
-            const score = likertWeights[answer.choice];
-            // Assign score to the corresponding construct's pole. Positive scores lean towards construct1, negative towards construct2.
-            if (score > 0) attitudeStrengths[q.construct1.pole] += score;
-            else if (score < 0) attitudeStrengths[q.construct2.pole] += Math.abs(score);
+        if (answer && answer.choice) { // Note: answer.choice will be a string from input
+            for (const { pole, points, attainable } of scoreAttitudeItem(q, answer.choice, profile.likertWeights)) {
+                attitudeStrengths[pole] += points;
+                attainableStrengths[pole] += attainable;
+            }
         }
     });
+    // Normalized strengths (0-1) express each raw strength as a share of what was attainable,
+    // so functions measured by different numbers of items can be compared on one scale.
+    const normalizedStrengths = {};
+    for (const [fn, raw] of Object.entries(attitudeStrengths)) {
+        normalizedStrengths[fn] = attainableStrengths[fn] > 0 ? raw / attainableStrengths[fn] : 0;
+    }
 
-    // --- Step 3: Holistic Stack Scoring of All 16 Valid Types ---
-    // This is where the magic happens! We iterate through every theoretically valid Jungian function stack (all 16 types)
+    // --- Step 3: Holistic Stack Scoring of All Valid Types ---
+    // This is where the magic happens! We iterate through every function stack of the typology model (all 16 types)
     // and calculate a composite "fit score" for each, based on both IRT dichotomy evidence and
     // the user's self-reported function strengths. The stack with the highest score is declared the best fit.
-    let bestFitType = null;
-    let maxScore = -Infinity;
     const typeScores = {}; // Stores individual type scores for detailed analysis or debugging.
-
-    for (const [type, stack] of Object.entries(TYPE_FUNCTION_STACKS)) {
-        let currentScore = 0;
-        const [dom, aux, ter, inf] = stack; // Destructure the function stack for the current type
-
-        // Part A: Score based on match with core IRT dichotomies (E-I, S-N, T-F).
-        // The IRT theta provides a powerful, empirically grounded measure of preference.
-        // It's weighted by its clarity (PCI) to give more confidence to clearer preferences.
-        const eiMatch = type.startsWith('E') ? eiResult.theta : -eiResult.theta; // Positive theta for E, negative for I
-        const snMatch = type.includes('S') ? snResult.theta : -snResult.theta; // Positive theta for S, negative for N
-        const tfMatch = type.includes('T') ? tfResult.theta : -tfResult.theta; // Positive theta for T, negative for F
-
-        currentScore += eiMatch * getIrtClarityWeight(eiResult.pci);
-        currentScore += snMatch * getIrtClarityWeight(snResult.pci);
-        currentScore += tfMatch * getIrtClarityWeight(tfResult.pci);
-
-        // Part B: Score based on alignment with raw attitude strengths, weighted by stack position.
-        // This integrates the Likert-scale function data, giving higher preference to types
-        // whose theoretical dominant and auxiliary functions strongly align with the user's highest
-        // self-reported function strengths. This is crucial for functionally deriving the J-P preference.
-        const attitudeScore =
-            (attitudeStrengths[dom] * ATTITUDE_STACK_POSITION_WEIGHT.dom) +
-            (attitudeStrengths[aux] * ATTITUDE_STACK_POSITION_WEIGHT.aux) +
-            (attitudeStrengths[ter] * ATTITUDE_STACK_POSITION_WEIGHT.ter) +
-            (attitudeStrengths[inf] * ATTITUDE_STACK_POSITION_WEIGHT.inf);
-
-        currentScore += attitudeScore * ATTITUDE_SCORE_WEIGHT;
-
-        typeScores[type] = currentScore; // Store the calculated score for analysis/debugging
-        // Update the best-fit type if the current type's score is higher
-        if (currentScore > maxScore) {
-            maxScore = currentScore;
-            bestFitType = type;
-        }
+    const typeContributions = {}; // The points each part of the evidence gave each type, for the explanation.
+    for (const [type, stack] of Object.entries(model.stacks)) {
+        const { score, contributions } = scoreTypeStack(type, stack, coreResults, attitudeStrengths, model, positionWeights, profile);
+        typeScores[type] = score; // Store the calculated score for analysis/debugging
+        typeContributions[type] = contributions;
     }
 
+    // The best fit heads the distribution; exact ties were settled there by the dichotomy tie-breakers.
+    const typeDistribution = buildTypeDistribution(typeScores);
+    const { type: bestFitType, score: maxScore } = typeDistribution[0];
+
     // --- Step 4: Finalize and Generate Rationale ---
     // Prepare the final results object, including the determined type, its stack,
-    // the overall fit score, and a concise rationale.
-    const finalStack = TYPE_FUNCTION_STACKS[bestFitType]; // Retrieve the full function stack for the best-fit type
+    // the overall fit score, the distribution over candidate types, and a concise rationale.
+    const finalStack = model.stacks[bestFitType]; // Retrieve the full function stack for the best-fit type
+    const functionStack = model.positions.map(({ key, label, shadow }, i) => ({ position: key, label, shadow, function: finalStack[i] }));
+    const functionAt = key => functionStack.find(entry => entry.position === key)?.function ?? null;
+
+    const topTypes = typeDistribution.slice(0, 3);
+    const closeCall = findBorderlineOutcome(typeDistribution, coreResults, profile.borderlineMargins);
+
+    // The itemized explanation compares the best fit with the alternative of a borderline result,
+    // or else with the runner-up, and names the answers that moved each theta the most.
+    const comparedType = closeCall ? closeCall.types[1] : typeDistribution[1].type;
+    const explanation = {
+        types: [bestFitType, comparedType].map(type => ({
+            type,
+            score: typeScores[type],
+            margin: maxScore - typeScores[type],
+            contributions: typeContributions[type]
+        })),
+        influentialItems: Object.fromEntries(Object.entries(coreResults).map(([dichotomy, { theta }]) =>
+            [dichotomy, findInfluentialItems(dichotomy, theta, mbtiAnswers, allMbtiQuestions, estimation)]))
+    };
+
+    // When the optional J-P block was answered, compare the self-reported (IRT) J-P preference
+    // with the J-P letter that emerged from the stack scoring.
+    const stackJp = bestFitType[3];
+    const jpComparison = jpResult ? {
+        irtPreference: jpResult.preference,
+        stackPreference: stackJp,
+        agree: jpResult.preference === stackJp,
+        indeterminate: jpResult.indeterminate
+    } : null;
+
+    const indeterminateDichotomies = Object.keys(coreResults).filter(d => coreResults[d].indeterminate);
+    const precisionNote = indeterminateDichotomies.length > 0
+        ? `The ${Math.round(confidenceLevel * 100)}% interval crosses zero for ${indeterminateDichotomies.join(', ')}, so those preferences are indeterminate.`
+        : `All measured preferences are distinguishable from zero at the ${Math.round(confidenceLevel * 100)}% level.`;
+    const jpNote = jpComparison
+        ? `The self-reported J-P (IRT theta ${jpResult.theta.toFixed(2)}, ${jpComparison.irtPreference}) ${jpComparison.agree ? 'agrees' : 'disagrees'} with the stack-derived ${stackJp}.`
+        : '';
 
     const rationale = `
         Core IRT Theta (Preference Clarity): E/I=${eiResult.theta.toFixed(2)} (${eiResult.pcc}), S/N=${snResult.theta.toFixed(2)} (${snResult.pcc}), T/F=${tfResult.theta.toFixed(2)} (${tfResult.pcc}).
-        Through our innovative Holistic Stack Scoring, the model meticulously evaluated all 16 valid Jungian types against your unique evidence. It proudly identified ${bestFitType} as the best overall fit, showcasing a remarkable alignment with your preferences, with a final fit score of ${maxScore.toFixed(2)}.
+        ${precisionNote}
+        Through our innovative Holistic Stack Scoring, the model meticulously evaluated all ${Object.keys(model.stacks).length} valid Jungian types against your unique evidence. Under the ${model.name} typology model it proudly identified ${bestFitType} as the best overall fit, showcasing a remarkable alignment with your preferences, with a final fit score of ${maxScore.toFixed(2)}.
+        ${jpNote}
+        ${closeCall ? closeCall.message : ''}
     `.trim().replace(/\s+/g, ' '); // Clean up whitespace for a neat string
 
     return {
         finalType: bestFitType,
-        dominant: finalStack[0],
-        auxiliary: finalStack[1],
-        tertiary: finalStack[2],
-        inferior: finalStack[3],
+        dominant: functionAt('dom'),
+        auxiliary: functionAt('aux'),
+        tertiary: functionAt('ter'),
+        inferior: functionAt('inf'),
+        functionStack, // Every position of the best-fit type's stack under the typology model, in order
         score: maxScore, // The highest score achieved by the best-fit type
         rationale: rationale,
-        allTypeScores: typeScores // Useful for advanced debugging and understanding the scoring process
+        explanation, // Points per dichotomy and stack position for the best fit and its runner-up, and the most influential items
+        functionStrengths: { raw: attitudeStrengths, normalized: normalizedStrengths }, // Eight-function profile
+        dichotomies: coreResults, // Per-dichotomy theta, SE, confidence interval and PCI/PCC bands
+        facets, // Facet subscores within each dichotomy, with out-of-preference facets flagged
+        estimation: { estimator: estimation.estimator, prior: estimation.prior }, // How the thetas were estimated
+        scoringProfile: profile.name, // The weighting profile the type scores were computed with
+        typologyModel: model.name, // The typology model whose stacks were scored
+        jpComparison, // IRT vs stack-derived J-P, or null when the J-P block was not administered
+        allTypeScores: typeScores, // Useful for advanced debugging and understanding the scoring process
+        typeDistribution, // All types of the model with normalized probability-like fit, best first
+        topTypes, // The three best-fitting candidate types and their margins to the best fit
+        closeCall // The best fit between two types when the result is borderline, else null
     };
 }
\ No newline at end of file
@@ -0,0 +1,119 @@
+// scoringProfiles.js: Named, Validated Weighting Profiles for the Holistic Stack Scoring
+//
+// A scoring profile collects every weight and cut-off the engine uses to turn thetas and
+// Likert answers into type fit scores, so that weighting experiments can be run by passing a
+// profile to `calculateHybridResults` instead of editing scorer.js. The 'standard' profile
+// holds the engine's original values and is used when no profile is given.
+
+// The engine's original weights. Every other profile is expressed relative to this one.
+const STANDARD_PROFILE = {
+    name: 'standard',
+    description: 'The original balance of IRT dichotomy evidence and Likert function evidence.',
+    // Multiplier on the whole attitude (Likert) part of a type's fit score.
+    attitudeScoreWeight: 1.0,
+    // Weight of a function's Likert strength by its position in the candidate type's stack, keyed
+    // by position (e.g. { dom: 6 }). Positions not listed keep the typology model's own weights.
+    stackPositionWeights: {},
+    // Points a Likert answer gives to construct1 (positive) or construct2 (negative).
+    likertWeights: { '1': 2, '2': 1, '3': 0, '4': -1, '5': -2 },
+    // Weight of an IRT dichotomy by its clarity: scale * ln(pci) + offset (offset alone when pci <= 0).
+    irtClarityWeight: { scale: 2.15, offset: 1 },
+    // Lowest PCI of each Preference Clarity Category; anything lower is 'Slight'.
+    pccCutoffs: { veryClear: 26, clear: 16, moderate: 6 },
+    // A dichotomy theta closer to zero than `theta`, or a candidate type scoring within `typeScore`
+    // fit-score points of the best fit, makes the result a best fit between two types.
+    borderlineMargins: { theta: 0.2, typeScore: 3 }
+};
+
+// The built-in profiles, by name.
+export const SCORING_PROFILES = {
+    standard: STANDARD_PROFILE,
+    'irt-dominant': {
+        ...STANDARD_PROFILE,
+        name: 'irt-dominant',
+        description: 'Lets the IRT dichotomies decide; the Likert function evidence only breaks near-ties.',
+        attitudeScoreWeight: 0.25,
+        irtClarityWeight: { scale: 4.3, offset: 2 }
+    },
+    'function-dominant': {
+        ...STANDARD_PROFILE,
+        name: 'function-dominant',
+        description: 'Lets the Likert function evidence lead; the IRT dichotomies carry half their usual weight.',
+        attitudeScoreWeight: 2.0,
+        irtClarityWeight: { scale: 1.075, offset: 0.5 }
+    }
+};
+
+export const DEFAULT_SCORING_PROFILE = 'standard';
+
+/**
+ * Checks that every listed key of an object holds a finite number.
+ * @param {Object} value - The object to check.
+ * @param {Array<string>} keys - The required keys.
+ * @param {string} field - The profile field, for the error message.
+ * @throws {Error} If a key is missing or not a finite number.
+ */
+function requireNumbers(value, keys, field) {
+    for (const key of keys) {
+        if (!Number.isFinite(value?.[key])) {
+            throw new Error(`Scoring profile field "${field}.${key}" must be a finite number.`);
+        }
+    }
+}
+
+/**
+ * [PUBLIC] Resolves a scoring profile into a complete, validated profile.
+ * A string selects a built-in profile. An object overrides fields of a base profile: the
+ * built-in named by its `base` field, or 'standard'. Nested objects (e.g. `likertWeights`)
+ * are merged key by key, so a profile only needs to list what it changes.
+ * @param {string|Object} [profile] - A profile name or a (partial) profile object.
+ * @returns {Object} The complete profile.
+ * @throws {Error} If the name is unknown, a custom profile takes a built-in's name, or a field is invalid.
+ */
+export function resolveScoringProfile(profile = DEFAULT_SCORING_PROFILE) {
+    if (typeof profile === 'string') {
+        if (!Object.hasOwn(SCORING_PROFILES, profile)) {
+            throw new Error(`Unknown scoring profile "${profile}". Expected one of: ${Object.keys(SCORING_PROFILES).join(', ')}, `
+                + 'or the definition of a custom profile (e.g. in the scoring_profile_definition column of a CSV export).');
+        }
+        return SCORING_PROFILES[profile];
+    }
+    if (typeof profile !== 'object' || profile === null) {
+        throw new Error('A scoring profile must be a profile name or an object.');
+    }
+
+    const { base = DEFAULT_SCORING_PROFILE, ...overrides } = profile;
+    const unknownFields = Object.keys(overrides).filter(field => !(field in STANDARD_PROFILE));
+    if (unknownFields.length > 0) {
+        throw new Error(`Unknown scoring profile field(s): ${unknownFields.join(', ')}.`);
+    }
+    const basis = resolveScoringProfile(base);
+    const resolved = { ...basis, name: 'custom', description: `Custom profile based on "${basis.name}".`, ...overrides };
+    for (const field of ['stackPositionWeights', 'likertWeights', 'irtClarityWeight', 'pccCutoffs', 'borderlineMargins']) {
+        resolved[field] = { ...basis[field], ...overrides[field] };
+    }
+
+    if (typeof resolved.name !== 'string' || resolved.name === '') {
+        throw new Error('Scoring profile field "name" must be a non-empty string.');
+    }
+    // Results name their profile, and a built-in name would pass them off as scored by that profile.
+    if (Object.hasOwn(SCORING_PROFILES, resolved.name)) {
+        throw new Error(`Scoring profile name "${resolved.name}" belongs to a built-in profile; give the custom profile a name of its own.`);
+    }
+    if (!Number.isFinite(resolved.attitudeScoreWeight) || resolved.attitudeScoreWeight < 0) {
+        throw new Error('Scoring profile field "attitudeScoreWeight" must be a non-negative number.');
+    }
+    requireNumbers(resolved.stackPositionWeights, Object.keys(resolved.stackPositionWeights), 'stackPositionWeights');
+    requireNumbers(resolved.likertWeights, ['1', '2', '3', '4', '5'], 'likertWeights');
+    requireNumbers(resolved.irtClarityWeight, ['scale', 'offset'], 'irtClarityWeight');
+    requireNumbers(resolved.pccCutoffs, ['veryClear', 'clear', 'moderate'], 'pccCutoffs');
+    const { veryClear, clear, moderate } = resolved.pccCutoffs;
+    if (!(veryClear > clear && clear > moderate && moderate > 0)) {
+        throw new Error('Scoring profile "pccCutoffs" must satisfy veryClear > clear > moderate > 0.');
+    }
+    requireNumbers(resolved.borderlineMargins, ['theta', 'typeScore'], 'borderlineMargins');
+    if (resolved.borderlineMargins.theta < 0 || resolved.borderlineMargins.typeScore < 0) {
+        throw new Error('Scoring profile "borderlineMargins" must not be negative.');
+    }
+    return resolved;
+}
@@ -0,0 +1,68 @@
+// session.js: Local Persistence of an In-Progress Assessment
+
+// localStorage key under which the in-progress session is kept.
+const SESSION_STORAGE_KEY = 'dat-h.session';
+
+/**
+ * [PUBLIC] Derives a short version fingerprint from the raw text of the item bank.
+ * Uses the 32-bit FNV-1a hash, which is fast, dependency-free and more than enough to
+ * notice that `questions.json` was edited between two visits.
+ * @param {string} text - The raw contents of the item bank file.
+ * @returns {string} The fingerprint as an 8-character hexadecimal string.
+ */
+export function computeBankVersion(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * [PUBLIC] Saves the in-progress session. Storage failures (e.g. private browsing or a full
+ * quota) are logged and otherwise ignored, as persistence is a convenience, not a requirement.
+ * @param {Object} state - The serializable session state, including its `bankVersion`.
+ */
+export function saveSession(state) {
+    try {
+        localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({ ...state, savedAt: new Date().toISOString() }));
+    } catch (error) {
+        console.warn("Could not save the session:", error);
+    }
+}
+
+/**
+ * [PUBLIC] Loads the saved session if it was recorded against the same item bank.
+ * A session saved for a different bank version, or one that cannot be parsed, is discarded,
+ * since its answers may no longer line up with the current questions.
+ * @param {string} bankVersion - The fingerprint of the currently loaded item bank.
+ * @returns {Object|null} The saved session state, or null if there is no usable session.
+ */
+export function loadSession(bankVersion) {
+    try {
+        const raw = localStorage.getItem(SESSION_STORAGE_KEY);
+        if (!raw) return null;
+        const state = JSON.parse(raw);
+        if (state.bankVersion !== bankVersion) {
+            clearSession();
+            return null;
+        }
+        return state;
+    } catch (error) {
+        console.warn("Discarding an unreadable saved session:", error);
+        clearSession();
+        return null;
+    }
+}
+
+/**
+ * [PUBLIC] Removes any saved session.
+ */
+export function clearSession() {
+    try {
+        localStorage.removeItem(SESSION_STORAGE_KEY);
+    } catch (error) {
+        console.warn("Could not clear the saved session:", error);
+    }
+}
@@ -0,0 +1,104 @@
+// shareLink.js: Compact, Server-Free Encoding of Answers for Shareable Result Links
+//
+// A share link carries the raw answers, not the result, so opening it re-runs the scorer
+// locally and always reproduces (or, after an engine change, re-scores) the exact protocol.
+// The URL fragment holds five parameters:
+//   v - the item-bank fingerprint the answers were given against (see session.js)
+//   e - the theta estimator the result was scored with
+//   m - the typology model the result was scored with (absent in older links)
+//   p - the scoring profile the result was scored with (absent in older links, which the app
+//       always scored with the 'standard' profile)
+//   a - the answers, packed as described below
+// Only built-in models and profiles can be named in a link; results scored with custom ones
+// are not offered for sharing.
+//
+// Packing: every question of the bank, in bank order, gets a 3-bit code (0 = unanswered,
+// forced-choice A = 1 / B = 2, Likert 1-5 = 1-5). Two codes fill one 6-bit base64url character,
+// so the full 82-item bank fits in 41 characters.
+
+const BASE64URL = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+const FORCED_CHOICE_CODES = { A: 1, B: 2 };
+
+/**
+ * Converts one answer into its 3-bit code.
+ * @param {Object} q - The question object.
+ * @param {string|undefined} value - The stored answer.
+ * @returns {number} The code (0-5).
+ */
+function encodeValue(q, value) {
+    if (!value) return 0;
+    return q.type === 'mbti' ? FORCED_CHOICE_CODES[value] : Number(value);
+}
+
+/**
+ * Converts a 3-bit code back into an answer.
+ * @param {Object} q - The question object.
+ * @param {number} code - The code (0-5).
+ * @returns {string|undefined} The answer, or undefined if unanswered.
+ * @throws {Error} If the code is not valid for the question type.
+ */
+function decodeValue(q, code) {
+    if (code === 0) return undefined;
+    if (q.type === 'mbti') {
+        const choice = Object.keys(FORCED_CHOICE_CODES).find(key => FORCED_CHOICE_CODES[key] === code);
+        if (!choice) throw new Error(`Invalid answer code ${code} for question ${q.number}.`);
+        return choice;
+    }
+    if (code > 5) throw new Error(`Invalid answer code ${code} for question ${q.id}.`);
+    return String(code);
+}
+
+/**
+ * [PUBLIC] Builds the URL fragment that encodes a set of answers.
+ * @param {Array} bankQuestions - The full item bank, in bank order.
+ * @param {Object} userAnswers - Answers keyed by question number or attitude id.
+ * @param {Object} meta - { bankVersion, estimator, typologyModel, scoringProfile } to embed in the link.
+ * @returns {string} The fragment, including the leading '#'.
+ */
+export function encodeShareFragment(bankQuestions, userAnswers, { bankVersion, estimator, typologyModel, scoringProfile }) {
+    const codes = bankQuestions.map(q => encodeValue(q, userAnswers[q.type === 'mbti' ? q.number : q.id]));
+    let packed = '';
+    for (let i = 0; i < codes.length; i += 2) {
+        packed += BASE64URL[(codes[i] << 3) | (codes[i + 1] || 0)];
+    }
+    const params = new URLSearchParams({ v: bankVersion, e: estimator, a: packed });
+    if (typologyModel) params.set('m', typologyModel);
+    if (scoringProfile) params.set('p', scoringProfile);
+    return `#${params.toString()}`;
+}
+
+/**
+ * [PUBLIC] Reads a share fragment back into answers.
+ * @param {string} fragment - The URL fragment (with or without the leading '#').
+ * @param {Array} bankQuestions - The full item bank, in bank order.
+ * @param {string} bankVersion - The fingerprint of the currently loaded item bank.
+ * @returns {Object|null} { userAnswers, estimator, typologyModel, scoringProfile } or null if the fragment is not a share link.
+ * @throws {Error} If the link was made for a different item bank or is malformed.
+ */
+export function decodeShareFragment(fragment, bankQuestions, bankVersion) {
+    const params = new URLSearchParams(fragment.replace(/^#/, ''));
+    if (!params.has('v') || !params.has('a')) return null;
+
+    if (params.get('v') !== bankVersion) {
+        throw new Error('This result link was created with a different version of the questions and cannot be re-scored.');
+    }
+    const packed = params.get('a');
+    if (packed.length !== Math.ceil(bankQuestions.length / 2)) {
+        throw new Error('This result link is incomplete or damaged.');
+    }
+
+    const userAnswers = {};
+    bankQuestions.forEach((q, i) => {
+        const sextet = BASE64URL.indexOf(packed[Math.floor(i / 2)]);
+        if (sextet < 0) throw new Error('This result link is incomplete or damaged.');
+        const code = i % 2 === 0 ? sextet >> 3 : sextet & 0b111;
+        const value = decodeValue(q, code);
+        if (value) userAnswers[q.type === 'mbti' ? q.number : q.id] = value;
+    });
+    return {
+        userAnswers,
+        estimator: params.get('e') || undefined,
+        typologyModel: params.get('m') || undefined,
+        scoringProfile: params.get('p') || 'standard'
+    };
+}
@@ -0,0 +1,236 @@
+/**
+ * simulation.js: Monte Carlo Simulation of Type Recovery.
+ *
+ * Generates synthetic respondents whose true type, dichotomy thetas and function profile are
+ * known, lets them answer the item bank, scores them with the real engine and measures how
+ * often the result recovers the truth. This makes the effect of a change to weights, items or
+ * estimators measurable before it ships.
+ * 1.  **True Type & Thetas:** Each respondent gets a type drawn uniformly from the types of the
+ *     typology model and, per dichotomy, a theta from a half-normal distribution on the side of
+ *     the type's pole. True function strengths follow the stacks of `strengthModel`, by default
+ *     the model the respondents are scored with. That default is partly circular: the engine
+ *     scores the attitude items against the very stacks that generated them, so it overstates how
+ *     well the attitude items recover a type. A different `strengthModel` shows how the engine
+ *     fares when its model is wrong.
+ * 2.  **Forced-Choice Responses:** Drawn from the 2PL model with the calibrated item parameters,
+ *     exactly the model the engine inverts.
+ * 3.  **Likert Responses:** A pair item contrasts two functions, and the respondent's true
+ *     strength difference plus normal noise is cut into the five response categories; an
+ *     agreement item uses the strength of its one function instead, and a reverse-keyed item
+ *     the negated value. The response model can be replaced entirely through `likertModel`.
+ * 4.  **Report:** Classification accuracy overall, per type and per dichotomy (for the final
+ *     type and for the IRT preference alone), a confusion matrix of true versus scored type,
+ *     and the bias and RMSE of the theta estimates. `strengthsFromScoringModel` marks a report
+ *     whose strengths came from the scoring model.
+ */
+
+import { DICHOTOMY_CONFIG, probability } from './scorer.js';
+import { itemParameters } from './itemParameterMatrix.js';
+import { getQuestionId, scoreProtocol } from './protocol.js';
+import { createRandom, randomNormal } from './random.js';
+import { COGNITIVE_FUNCTIONS, resolveTypologyModel } from './typologyModels.js';
+
+// Levels of `functionProfile` for the first four positions of a stack; all others are 'shadow'.
+const PROFILE_LEVELS = ['dominant', 'auxiliary', 'tertiary', 'inferior'];
+
+// Default simulation settings. Any of these may be overridden per run.
+export const SIMULATION_CONFIG = {
+    respondents: 1000,
+    seed: 1,
+    estimator: 'mle',               // Theta estimator passed to the engine
+    scoringProfile: 'standard',     // Scoring profile passed to the engine (a name or a profile object)
+    typologyModel: 'four-function', // Typology model the true types are drawn from and scored with
+    strengthModel: null,            // Typology model whose stacks generate the true function strengths; null for typologyModel
+    includeJp: true,                // Whether the synthetic respondents also answer the optional J-P block
+    thetaSd: 1,                     // SD of the (half-normal) true thetas
+    // True function strengths by position in the respondent's stack; functions outside the first
+    // four positions share the 'shadow' level. Each respondent's strengths get normal jitter on top.
+    functionProfile: { dominant: 2, auxiliary: 1, tertiary: 0, inferior: -0.5, shadow: -1 },
+    profileSd: 0.5,
+    // Default Likert response model: strength difference (construct1 - construct2, or construct1
+    // alone for an agreement item; negated if reverse-keyed) plus noise, cut at these thresholds
+    // into the responses '1' (towards construct1, or agreement) to '5'.
+    likertNoiseSd: 1,
+    likertThresholds: [1.5, 0.5, -0.5, -1.5],
+    likertModel: null               // Optional (difference, random, config) => '1'..'5', replacing the default
+};
+
+/**
+ * Turns a strength difference into a Likert response with the default threshold model.
+ * @param {number} difference - True strength of construct1 minus that of construct2 (see `attitudeDifference`).
+ * @param {Function} random - The seeded generator.
+ * @param {Object} config - The simulation settings.
+ * @returns {string} The response, '1' to '5'.
+ */
+function thresholdLikertModel(difference, random, config) {
+    const observed = difference + randomNormal(random, 0, config.likertNoiseSd);
+    const category = config.likertThresholds.findIndex(threshold => observed > threshold);
+    return String(category === -1 ? 5 : category + 1);
+}
+
+/**
+ * Draws one synthetic respondent.
+ * @param {Function} random - The seeded generator.
+ * @param {Object} config - The simulation settings.
+ * @param {Object} model - The resolved typology model.
+ * @param {Object} strengthModel - The resolved typology model whose stacks generate the function strengths.
+ * @returns {Object} { type, thetas, strengths } - the true type, dichotomy thetas and function strengths.
+ */
+function drawRespondent(random, config, model, strengthModel) {
+    const types = Object.keys(model.stacks);
+    const type = types[Math.floor(random() * types.length)];
+
+    const thetas = {};
+    for (const [dichotomy, { poles }] of Object.entries(DICHOTOMY_CONFIG)) {
+        const magnitude = Math.abs(randomNormal(random, 0, config.thetaSd));
+        thetas[dichotomy] = type.includes(poles[0]) ? magnitude : -magnitude;
+    }
+
+    const stack = strengthModel.stacks[type];
+    const strengths = {};
+    for (const fn of COGNITIVE_FUNCTIONS) {
+        const level = config.functionProfile[PROFILE_LEVELS[stack.indexOf(fn)] || 'shadow'];
+        strengths[fn] = level + randomNormal(random, 0, config.profileSd);
+    }
+    return { type, thetas, strengths };
+}
+
+/**
+ * Returns the true strength difference an attitude item measures, oriented so that a positive
+ * value leads to the responses at the '1' end of the scale.
+ * @param {Object} q - The attitude question.
+ * @param {Object} strengths - The respondent's true function strengths.
+ * @returns {number} construct1 minus construct2 (or construct1 alone), negated if reverse-keyed.
+ */
+function attitudeDifference(q, strengths) {
+    const difference = strengths[q.construct1.pole] - (q.construct2 ? strengths[q.construct2.pole] : 0);
+    return q.reverseKeyed ? -difference : difference;
+}
+
+/**
+ * Lets a synthetic respondent answer the item bank.
+ * @param {Object} respondent - The respondent from `drawRespondent`.
+ * @param {Array} bankQuestions - The flattened item bank.
+ * @param {Function} random - The seeded generator.
+ * @param {Object} config - The simulation settings.
+ * @returns {Object} Answers keyed by question number or attitude id.
+ */
+function simulateAnswers(respondent, bankQuestions, random, config) {
+    const likertModel = config.likertModel || thresholdLikertModel;
+    const answers = {};
+    for (const q of bankQuestions) {
+        if (q.optional && !config.includeJp) continue;
+        if (q.type === 'mbti') {
+            const entry = itemParameters[q.number - 1];
+            const theta = respondent.thetas[entry.dichotomy];
+            const u = random() < probability(theta, entry.params.a, entry.params.b) ? 1 : 0;
+            answers[q.number] = q.options.A.scoreKey === u ? 'A' : 'B';
+        } else {
+            answers[getQuestionId(q)] = likertModel(attitudeDifference(q, respondent.strengths), random, config);
+        }
+    }
+    return answers;
+}
+
+/**
+ * Turns a { correct, total } tally into an accuracy entry.
+ * @param {Object} tally - The counts.
+ * @returns {Object} { correct, total, accuracy }, accuracy being null when total is 0.
+ */
+function toAccuracy({ correct, total }) {
+    return { correct, total, accuracy: total > 0 ? correct / total : null };
+}
+
+/**
+ * [PUBLIC] Runs a simulation and reports how well the engine recovers the true types.
+ * @param {Array} bankQuestions - The flattened item bank (see `flattenItemBank`).
+ * @param {Object} [overrides] - Partial overrides for SIMULATION_CONFIG.
+ * @returns {Object} { config, typeAccuracy: { overall, byType }, dichotomyAccuracy, confusion,
+ *                   thetaRecovery }, where accuracies are { correct, total, accuracy }, the
+ *                   confusion matrix is { trueType: { scoredType: count } } and theta recovery
+ *                   is { dichotomy: { n, bias, rmse } }. The report also carries
+ *                   `strengthsFromScoringModel`.
+ * @throws {Error} If the strength model lacks a stack for a type of the typology model.
+ */
+export function runSimulation(bankQuestions, overrides = {}) {
+    const config = { ...SIMULATION_CONFIG, ...overrides };
+    const model = resolveTypologyModel(config.typologyModel);
+    const strengthModel = config.strengthModel === null ? model : resolveTypologyModel(config.strengthModel);
+    const missingType = Object.keys(model.stacks).find(type => !strengthModel.stacks[type]);
+    if (missingType) {
+        throw new Error(`The strength model "${strengthModel.name}" has no stack for ${missingType}, a type of the typology model "${model.name}".`);
+    }
+    const random = createRandom(config.seed);
+    const types = Object.keys(model.stacks);
+    const dichotomies = Object.keys(DICHOTOMY_CONFIG).filter(d => config.includeJp || !DICHOTOMY_CONFIG[d].optional);
+
+    const overall = { correct: 0, total: 0 };
+    const byType = Object.fromEntries(types.map(type => [type, { correct: 0, total: 0 }]));
+    const confusion = Object.fromEntries(types.map(type => [type, Object.fromEntries(types.map(t => [t, 0]))]));
+    const letterTallies = Object.fromEntries(Object.keys(DICHOTOMY_CONFIG).map(d => [d, { correct: 0, total: 0 }]));
+    const irtTallies = Object.fromEntries(dichotomies.map(d => [d, { correct: 0, total: 0 }]));
+    const thetaErrors = Object.fromEntries(dichotomies.map(d => [d, []]));
+
+    for (let i = 0; i < config.respondents; i++) {
+        const respondent = drawRespondent(random, config, model, strengthModel);
+        const answers = simulateAnswers(respondent, bankQuestions, random, config);
+        const result = scoreProtocol(bankQuestions, answers, {
+            estimator: config.estimator,
+            scoringProfile: config.scoringProfile,
+            typologyModel: config.typologyModel
+        });
+
+        const hit = result.finalType === respondent.type;
+        overall.total++;
+        byType[respondent.type].total++;
+        if (hit) {
+            overall.correct++;
+            byType[respondent.type].correct++;
+        }
+        confusion[respondent.type][result.finalType]++;
+
+        for (const [dichotomy, { poles }] of Object.entries(DICHOTOMY_CONFIG)) {
+            const trueLetter = poles.find(pole => respondent.type.includes(pole));
+            letterTallies[dichotomy].total++;
+            if (result.finalType.includes(trueLetter)) letterTallies[dichotomy].correct++;
+
+            const estimate = result.dichotomies[dichotomy];
+            if (!estimate) continue;
+            irtTallies[dichotomy].total++;
+            if (estimate.preference === trueLetter) irtTallies[dichotomy].correct++;
+            thetaErrors[dichotomy].push(estimate.theta - respondent.thetas[dichotomy]);
+        }
+    }
+
+    const dichotomyAccuracy = {};
+    for (const dichotomy of Object.keys(DICHOTOMY_CONFIG)) {
+        dichotomyAccuracy[dichotomy] = {
+            finalType: toAccuracy(letterTallies[dichotomy]),
+            irt: irtTallies[dichotomy] ? toAccuracy(irtTallies[dichotomy]) : null
+        };
+    }
+
+    const thetaRecovery = {};
+    for (const [dichotomy, errors] of Object.entries(thetaErrors)) {
+        const n = errors.length;
+        thetaRecovery[dichotomy] = {
+            n,
+            bias: n > 0 ? errors.reduce((sum, e) => sum + e, 0) / n : null,
+            rmse: n > 0 ? Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / n) : null
+        };
+    }
+
+    const { likertModel, ...reportedConfig } = config;
+    return {
+        config: { ...reportedConfig, likertModel: likertModel ? 'custom' : 'threshold' },
+        // Only the first four positions shape the strengths, so models that agree on them count as one.
+        strengthsFromScoringModel: types.every(type => PROFILE_LEVELS.every((_, i) => strengthModel.stacks[type][i] === model.stacks[type][i])),
+        typeAccuracy: {
+            overall: toAccuracy(overall),
+            byType: Object.fromEntries(types.map(type => [type, toAccuracy(byType[type])]))
+        },
+        dichotomyAccuracy,
+        confusion,
+        thetaRecovery
+    };
+}
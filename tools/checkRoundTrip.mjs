@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+// tools/checkRoundTrip.mjs: Check That Exported Results Re-Import and Re-Score Unchanged
+//
+// Usage: node tools/checkRoundTrip.mjs [--bank questions.json]
+// Scores a seeded random protocol under every built-in scoring profile and typology model, and
+// under a custom profile and a custom model. Each result is exported to CSV and to JSON and read
+// back the way the app and score.mjs read them: the CSV row is re-scored with the settings it
+// records, the JSON record is validated as an import. The check fails, with exit status 1, if
+// any re-scored result differs from the original, so it can guard changes to resultRecord.js.
+
+import { parseArgs } from 'node:util';
+import { loadItemBank } from './loadBank.mjs';
+import { getQuestionId, normalizeAnswers, scoreProtocol } from '../protocol.js';
+import { buildResultRecord, recordToJson, parseResultJson, validateResultRecord, recordsToCsv, parseResultCsv } from '../resultRecord.js';
+import { SCORING_PROFILES } from '../scoringProfiles.js';
+import { TYPOLOGY_MODELS } from '../typologyModels.js';
+import { createRandom } from '../random.js';
+
+const USAGE = 'Usage: node tools/checkRoundTrip.mjs [--bank questions.json]';
+
+// A custom profile and model in the formats --profile and --model read from a file.
+const CUSTOM_PROFILE = { base: 'irt-dominant', likertWeights: { '1': 3, '5': -3 }, pccCutoffs: { moderate: 8 } };
+const CUSTOM_MODEL = {
+    name: 'dominant-auxiliary',
+    positions: [{ key: 'dom', label: 'Dominant' }, { key: 'aux', label: 'Auxiliary' }],
+    positionWeights: { dom: 5, aux: 3 },
+    stacks: { INTP: ['Ti', 'Ne'], ENTP: ['Ne', 'Ti'], INTJ: ['Ni', 'Te'], ENTJ: ['Te', 'Ni'] }
+};
+
+/**
+ * Answers every item of the bank at random, reproducibly.
+ * @param {Array} bankQuestions - The flattened item bank.
+ * @returns {Object} Answers keyed by question number or attitude id.
+ */
+function randomAnswers(bankQuestions) {
+    const random = createRandom(1);
+    return Object.fromEntries(bankQuestions.map(q => {
+        const values = q.type === 'mbti' ? ['A', 'B'] : ['1', '2', '3', '4', '5'];
+        return [getQuestionId(q), values[Math.floor(random() * values.length)]];
+    }));
+}
+
+/**
+ * Lists how two results differ in type, fit score and type scores.
+ * @param {Object} original - The result as first scored.
+ * @param {Object} reread - The result after the round trip.
+ * @returns {Array<string>} The differences; empty when the results agree.
+ */
+function compareResults(original, reread) {
+    const differences = [];
+    if (original.finalType !== reread.finalType) differences.push(`type ${original.finalType} became ${reread.finalType}`);
+    if (original.score !== reread.score) differences.push(`fit score ${original.score} became ${reread.score}`);
+    if (original.scoringProfile !== reread.scoringProfile) differences.push(`profile ${original.scoringProfile} became ${reread.scoringProfile}`);
+    if (original.typologyModel !== reread.typologyModel) differences.push(`model ${original.typologyModel} became ${reread.typologyModel}`);
+    if (JSON.stringify(original.allTypeScores) !== JSON.stringify(reread.allTypeScores)) differences.push('type scores changed');
+    return differences;
+}
+
+let values;
+try {
+    ({ values } = parseArgs({ options: { bank: { type: 'string' } } }));
+} catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(2);
+}
+const { bankQuestions, bankVersion } = await loadItemBank(values.bank);
+const answers = randomAnswers(bankQuestions);
+const cases = [
+    ...Object.keys(SCORING_PROFILES).map(scoringProfile => ({ label: `profile ${scoringProfile}`, scoringProfile, typologyModel: 'four-function' })),
+    ...Object.keys(TYPOLOGY_MODELS).map(typologyModel => ({ label: `model ${typologyModel}`, scoringProfile: 'standard', typologyModel })),
+    { label: 'custom profile', scoringProfile: CUSTOM_PROFILE, typologyModel: 'four-function' },
+    { label: 'custom model', scoringProfile: 'standard', typologyModel: CUSTOM_MODEL }
+];
+
+let failures = 0;
+for (const { label, scoringProfile, typologyModel } of cases) {
+    const settings = { estimator: 'mle', scoringProfile, typologyModel, adaptive: false, includeJp: true };
+    const result = scoreProtocol(bankQuestions, answers, settings);
+    const record = buildResultRecord({ answers, result, settings, bankVersion });
+    const problems = [];
+    try {
+        const [row] = parseResultCsv(recordsToCsv([record], bankQuestions), bankQuestions);
+        const rescored = scoreProtocol(bankQuestions, normalizeAnswers(bankQuestions, row.answers), row.settings);
+        problems.push(...compareResults(result, rescored).map(difference => `CSV: ${difference}`));
+    } catch (error) {
+        problems.push(`CSV: ${error.message}`);
+    }
+    try {
+        const imported = validateResultRecord(parseResultJson(recordToJson(record)), bankQuestions);
+        problems.push(...compareResults(result, imported.result).map(difference => `JSON: ${difference}`));
+    } catch (error) {
+        problems.push(`JSON: ${error.message}`);
+    }
+    console.log(`${problems.length === 0 ? 'OK   ' : 'FAIL '} ${label}${problems.length > 0 ? `: ${problems.join('; ')}` : ''}`);
+    if (problems.length > 0) failures++;
+}
+console.log(`${cases.length} round trips checked, ${failures} failed.`);
+process.exit(failures > 0 ? 1 : 0);
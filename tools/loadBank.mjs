@@ -0,0 +1,70 @@
+// tools/loadBank.mjs: Loading and Checking the Item Bank for the Command-Line Tools
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { itemParameters } from '../itemParameterMatrix.js';
+import { validateItemBank } from '../bankValidator.js';
+import { computeBankVersion } from '../session.js';
+import { flattenItemBank } from '../protocol.js';
+import { resolveScoringProfile } from '../scoringProfiles.js';
+import { resolveTypologyModel } from '../typologyModels.js';
+
+// The bank the browser app loads, used when a tool is not given another one.
+export const DEFAULT_BANK_PATH = fileURLToPath(new URL('../questions.json', import.meta.url));
+
+/**
+ * [PUBLIC] Reads questions.json, checks it against the parameter matrix and flattens it the
+ * same way the browser app does.
+ * @param {string} [bankPath] - Path to the bank file.
+ * @returns {Promise<Object>} { data, bankQuestions, bankVersion } for the bank.
+ * @throws {Error} If the file cannot be read or parsed, or fails the consistency check.
+ */
+export async function loadItemBank(bankPath = DEFAULT_BANK_PATH) {
+    const text = await readFile(bankPath, 'utf8');
+    const data = JSON.parse(text);
+    const audit = validateItemBank(data, itemParameters);
+    if (!audit.valid) {
+        const first = audit.errors[0];
+        throw new Error(`${bankPath} failed its consistency check with ${audit.errors.length} error(s); `
+            + `first: ${first.location}: ${first.message} Run tools/validateBank.mjs for the full report.`);
+    }
+    return { data, bankQuestions: flattenItemBank(data), bankVersion: computeBankVersion(text) };
+}
+
+/**
+ * Reads an option that takes either a built-in name or the path of a JSON file.
+ * @param {string|undefined} value - The option value.
+ * @param {Function} resolve - Resolver that throws if the name or object is invalid.
+ * @returns {Promise<string|Object|undefined>} The name or the parsed object; undefined if not given.
+ * @throws {Error} If the file cannot be read or the value is invalid.
+ */
+async function readNameOrJsonFile(value, resolve) {
+    if (value === undefined) return undefined;
+    const parsed = value.toLowerCase().endsWith('.json') ? JSON.parse(await readFile(value, 'utf8')) : value;
+    resolve(parsed);
+    return parsed;
+}
+
+/**
+ * [PUBLIC] Reads the value of a --profile option: a built-in profile name, or the path of a
+ * JSON file holding a (partial) profile object.
+ * @param {string|undefined} value - The option value.
+ * @returns {Promise<string|Object|undefined>} The profile name or object, checked with
+ *                                             `resolveScoringProfile`; undefined if not given.
+ * @throws {Error} If the file cannot be read or the profile is invalid.
+ */
+export function readScoringProfile(value) {
+    return readNameOrJsonFile(value, resolveScoringProfile);
+}
+
+/**
+ * [PUBLIC] Reads the value of a --model option: a built-in typology model name, or the path of
+ * a JSON file holding a custom model.
+ * @param {string|undefined} value - The option value.
+ * @returns {Promise<string|Object|undefined>} The model name or object, checked with
+ *                                             `resolveTypologyModel`; undefined if not given.
+ * @throws {Error} If the file cannot be read or the model is invalid.
+ */
+export function readTypologyModel(value) {
+    return readNameOrJsonFile(value, resolveTypologyModel);
+}
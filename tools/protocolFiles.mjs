@@ -0,0 +1,38 @@
+// tools/protocolFiles.mjs: Reading Batch Files of Answer Protocols (CSV or JSON Lines)
+//
+// The formats are documented in tools/README.md.
+
+import { readFile } from 'node:fs/promises';
+import { parseResultCsv } from '../resultRecord.js';
+
+/**
+ * [PUBLIC] Reads the protocols of a batch file.
+ * @param {string} inputPath - A .csv or .jsonl file.
+ * @param {Array} bankQuestions - The flattened item bank.
+ * @returns {Promise<Array>} One { label, protocol } per respondent, or { label, error } for
+ *                           entries that could not be parsed.
+ * @throws {Error} If the file type is not supported or the file cannot be read.
+ */
+export async function readProtocolFile(inputPath, bankQuestions) {
+    const text = await readFile(inputPath, 'utf8');
+    if (inputPath.toLowerCase().endsWith('.csv')) {
+        return parseResultCsv(text, bankQuestions).map((row, i) => ({
+            label: `row ${i + 1}${row.respondentId ? ` (${row.respondentId})` : ''}`,
+            protocol: row
+        }));
+    }
+    if (inputPath.toLowerCase().endsWith('.jsonl')) {
+        return text.split(/\r?\n/)
+            .map((line, i) => ({ line: line.trim(), number: i + 1 }))
+            .filter(({ line }) => line !== '')
+            .map(({ line, number }) => {
+                try {
+                    const protocol = JSON.parse(line);
+                    return { label: `line ${number}${protocol.respondentId ? ` (${protocol.respondentId})` : ''}`, protocol };
+                } catch (error) {
+                    return { label: `line ${number}`, error };
+                }
+            });
+    }
+    throw new Error(`Unsupported batch file "${inputPath}"; use a .csv or .jsonl file.`);
+}
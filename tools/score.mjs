@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+// tools/score.mjs: Headless Scoring of Answer Protocols, Singly or in Batch
+//
+// Runs protocols through the same modules as the browser app (protocol.js, scorer.js,
+// validity.js, resultRecord.js), so a protocol scored here gets exactly the result it would
+// get in the browser. The input formats are documented in tools/README.md.
+//
+// Usage:
+//   node tools/score.mjs <protocol.json> [--estimator mle|eap|map] [--profile name|profile.json]
+//                        [--model name|model.json] [--bank questions.json]
+//   node tools/score.mjs --batch <input.csv|input.jsonl> [--out <results.csv|results.jsonl>]
+//                        [--estimator mle|eap|map] [--profile name|profile.json]
+//                        [--model name|model.json] [--bank questions.json]
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { loadItemBank, readScoringProfile, readTypologyModel } from './loadBank.mjs';
+import { normalizeAnswers, answersIncludeJp, scoreProtocol, screenProtocol } from '../protocol.js';
+import { buildResultRecord, recordToJson, recordsToCsv } from '../resultRecord.js';
+import { readProtocolFile } from './protocolFiles.mjs';
+
+const USAGE = `Usage:
+  node tools/score.mjs <protocol.json> [--estimator mle|eap|map] [--profile name|profile.json]
+                       [--model name|model.json] [--bank questions.json]
+  node tools/score.mjs --batch <input.csv|input.jsonl> [--out <results.csv|results.jsonl>]
+                       [--estimator mle|eap|map] [--profile name|profile.json]
+                       [--model name|model.json] [--bank questions.json]
+
+Single mode prints the full result record of one protocol as JSON.
+Batch mode scores one protocol per CSV row or JSONL line and writes one result per protocol,
+as CSV (the same columns as the app's CSV export) or as JSON Lines, chosen by the --out
+extension; without --out, CSV is written to standard output.
+--estimator, --profile and --model set the theta estimator, scoring profile and typology model
+for protocols that do not name their own (defaults: mle, standard, four-function); --profile and
+--model take a built-in name or a JSON file.`;
+
+/**
+ * Scores one protocol and assembles its result record.
+ * @param {Object} bank - The loaded bank ({ bankQuestions, bankVersion }).
+ * @param {Object} protocol - { answers, settings?, respondentId?, startedAt?, completedAt? }.
+ * @param {Object} defaults - { estimator, scoringProfile, typologyModel } for protocols that do not name their own.
+ * @returns {Object} The result record.
+ * @throws {Error} If the protocol has invalid answers or settings.
+ */
+function scoreOne({ bankQuestions, bankVersion }, protocol, defaults) {
+    if (!protocol || typeof protocol.answers !== 'object' || protocol.answers === null) {
+        throw new Error('A protocol needs an "answers" object.');
+    }
+    const answers = normalizeAnswers(bankQuestions, protocol.answers);
+    const settings = {
+        estimator: protocol.settings?.estimator || defaults.estimator || 'mle',
+        scoringProfile: protocol.settings?.scoringProfile || defaults.scoringProfile || 'standard',
+        typologyModel: protocol.settings?.typologyModel || defaults.typologyModel || 'four-function',
+        adaptive: protocol.settings?.adaptive ?? null,
+        includeJp: answersIncludeJp(bankQuestions, answers),
+        // The seeded item order of an app export, so the pattern checks see the answers as presented.
+        randomization: protocol.settings?.randomization ?? null
+    };
+    const startedAt = protocol.startedAt || null;
+    const completedAt = protocol.completedAt || null;
+    const result = scoreProtocol(bankQuestions, answers, {
+        estimator: settings.estimator,
+        scoringProfile: settings.scoringProfile,
+        typologyModel: settings.typologyModel
+    });
+    const durationMs = startedAt && completedAt ? Date.parse(completedAt) - Date.parse(startedAt) : null;
+    const validity = screenProtocol(bankQuestions, answers, result, Number.isFinite(durationMs) ? durationMs : null, settings);
+    return buildResultRecord({
+        answers,
+        result,
+        settings,
+        validity,
+        bankVersion,
+        respondentId: protocol.respondentId ?? null,
+        startedAt,
+        completedAt
+    });
+}
+
+/**
+ * Scores every protocol of a batch file and writes the results.
+ * Protocols that fail are reported on standard error and skipped, so one bad row does not
+ * hold up the rest of the batch.
+ * @param {Object} bank - The loaded bank.
+ * @param {string} inputPath - The batch file.
+ * @param {string|undefined} outPath - The results file, or undefined for CSV on standard output.
+ * @param {Object} defaults - { estimator, scoringProfile, typologyModel } for protocols that do not name their own.
+ * @returns {Promise<number>} The number of protocols that could not be scored.
+ */
+async function runBatch(bank, inputPath, outPath, defaults) {
+    const records = [];
+    let failures = 0;
+    for (const { label, protocol, error } of await readProtocolFile(inputPath, bank.bankQuestions)) {
+        try {
+            if (error) throw error;
+            records.push(scoreOne(bank, protocol, defaults));
+        } catch (scoringError) {
+            failures++;
+            console.error(`${inputPath} ${label}: ${scoringError.message}`);
+        }
+    }
+
+    const asJsonLines = outPath?.toLowerCase().endsWith('.jsonl');
+    const output = asJsonLines
+        ? records.map(record => recordToJson(record, 0)).join('\n') + (records.length > 0 ? '\n' : '')
+        : recordsToCsv(records, bank.bankQuestions);
+    if (outPath) {
+        await writeFile(outPath, output);
+    } else {
+        process.stdout.write(output);
+    }
+    console.error(`Scored ${records.length} protocol(s)${failures > 0 ? `, ${failures} failed` : ''}.`);
+    return failures;
+}
+
+/**
+ * Parses the command line and runs the requested mode.
+ * @returns {Promise<number>} The process exit code.
+ */
+async function main() {
+    let args;
+    try {
+        args = parseArgs({
+            allowPositionals: true,
+            options: {
+                batch: { type: 'string' },
+                out: { type: 'string' },
+                estimator: { type: 'string' },
+                profile: { type: 'string' },
+                model: { type: 'string' },
+                bank: { type: 'string' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    const { values, positionals } = args;
+    if (values.help || (!values.batch && positionals.length !== 1)) {
+        console.error(USAGE);
+        return values.help ? 0 : 2;
+    }
+
+    try {
+        const bank = await loadItemBank(values.bank);
+        const defaults = {
+            estimator: values.estimator,
+            scoringProfile: await readScoringProfile(values.profile),
+            typologyModel: await readTypologyModel(values.model)
+        };
+        if (values.batch) {
+            const failures = await runBatch(bank, values.batch, values.out, defaults);
+            return failures > 0 ? 1 : 0;
+        }
+        const protocol = JSON.parse(await readFile(positionals[0], 'utf8'));
+        console.log(recordToJson(scoreOne(bank, protocol, defaults)));
+        return 0;
+    } catch (error) {
+        console.error(error.message);
+        return 1;
+    }
+}
+
+process.exitCode = await main();
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+// tools/simulate.mjs: Monte Carlo Type-Recovery Report from the Command Line
+//
+// Usage: node tools/simulate.mjs [--respondents 1000] [--seed 1] [--estimator mle|eap|map]
+//                                [--profile name|profile.json] [--model name|model.json]
+//                                [--strength-model name|model.json] [--theta-sd 1]
+//                                [--profile-sd 0.5] [--likert-noise 1]
+//                                [--no-jp] [--json] [--bank questions.json]
+// Prints accuracy tables, the confusion matrix and theta recovery; --json prints the full report.
+
+import { parseArgs } from 'node:util';
+import { loadItemBank, readScoringProfile, readTypologyModel } from './loadBank.mjs';
+import { runSimulation, SIMULATION_CONFIG } from '../simulation.js';
+
+const USAGE = `Usage: node tools/simulate.mjs [--respondents ${SIMULATION_CONFIG.respondents}] [--seed ${SIMULATION_CONFIG.seed}] [--estimator mle|eap|map]
+                               [--profile name|profile.json] [--model name|model.json]
+                               [--strength-model name|model.json] [--theta-sd ${SIMULATION_CONFIG.thetaSd}]
+                               [--profile-sd ${SIMULATION_CONFIG.profileSd}] [--likert-noise ${SIMULATION_CONFIG.likertNoiseSd}]
+                               [--no-jp] [--json] [--bank questions.json]`;
+
+/**
+ * Formats an accuracy entry as a percentage.
+ * @param {Object|null} entry - { correct, total, accuracy }.
+ * @returns {string} E.g. '87.3% (873/1000)', or 'n/a'.
+ */
+function formatAccuracy(entry) {
+    if (!entry || entry.accuracy === null) return 'n/a';
+    return `${(entry.accuracy * 100).toFixed(1)}% (${entry.correct}/${entry.total})`;
+}
+
+/**
+ * Parses a numeric option.
+ * @param {string|undefined} value - The raw option value.
+ * @param {string} name - The option name, for the error message.
+ * @returns {number|undefined} The number, or undefined if the option was not given.
+ * @throws {Error} If the value is not a number.
+ */
+function numberOption(value, name) {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (!Number.isFinite(number)) throw new Error(`--${name} must be a number.`);
+    return number;
+}
+
+/**
+ * Prints a simulation report as plain-text tables.
+ * @param {Object} report - The report returned by `runSimulation`.
+ */
+function printReport(report) {
+    const { config, typeAccuracy, dichotomyAccuracy, confusion, thetaRecovery } = report;
+    const profileName = typeof config.scoringProfile === 'string' ? config.scoringProfile : 'custom';
+    const nameOf = model => (typeof model === 'string' ? model : model.name || 'custom');
+    const modelName = nameOf(config.typologyModel);
+    const strengthModelName = config.strengthModel === null ? modelName : nameOf(config.strengthModel);
+    console.log(`Simulated ${config.respondents} respondents (seed ${config.seed}, ${config.estimator.toUpperCase()}, `
+        + `${profileName} profile, ${modelName} model, strengths from the ${strengthModelName} model, `
+        + `J-P block ${config.includeJp ? 'answered' : 'not answered'}).`);
+    if (report.strengthsFromScoringModel) {
+        console.log('Note: the true function strengths follow the same stacks as the scoring model, so the attitude '
+            + 'items recover them partly by construction and the accuracies overstate those on real respondents. '
+            + 'Use --strength-model to draw them from a different model.');
+    }
+    console.log(`\nWhole-type accuracy: ${formatAccuracy(typeAccuracy.overall)}`);
+
+    console.log('\nPer dichotomy          final type letter       IRT preference');
+    for (const [dichotomy, entry] of Object.entries(dichotomyAccuracy)) {
+        console.log(`  ${dichotomy.padEnd(20)} ${formatAccuracy(entry.finalType).padEnd(23)} ${formatAccuracy(entry.irt)}`);
+    }
+
+    console.log('\nPer true type');
+    for (const [type, entry] of Object.entries(typeAccuracy.byType)) {
+        console.log(`  ${type}  ${formatAccuracy(entry)}`);
+    }
+
+    const types = Object.keys(confusion);
+    console.log('\nConfusion matrix (rows: true type, columns: scored type)');
+    console.log(`  ${''.padEnd(5)}${types.map(t => t.padStart(5)).join('')}`);
+    for (const trueType of types) {
+        console.log(`  ${trueType.padEnd(5)}${types.map(t => String(confusion[trueType][t] || '.').padStart(5)).join('')}`);
+    }
+
+    console.log('\nTheta recovery       bias      RMSE');
+    for (const [dichotomy, { n, bias, rmse }] of Object.entries(thetaRecovery)) {
+        if (n === 0) continue;
+        console.log(`  ${dichotomy.padEnd(16)} ${bias.toFixed(3).padStart(7)} ${rmse.toFixed(3).padStart(9)}`);
+    }
+}
+
+/**
+ * Parses the command line and runs the simulation.
+ * @returns {Promise<number>} The process exit code.
+ */
+async function main() {
+    let values;
+    try {
+        ({ values } = parseArgs({
+            options: {
+                respondents: { type: 'string' },
+                seed: { type: 'string' },
+                estimator: { type: 'string' },
+                profile: { type: 'string' },
+                model: { type: 'string' },
+                'strength-model': { type: 'string' },
+                'theta-sd': { type: 'string' },
+                'profile-sd': { type: 'string' },
+                'likert-noise': { type: 'string' },
+                'no-jp': { type: 'boolean' },
+                json: { type: 'boolean' },
+                bank: { type: 'string' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        }));
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    try {
+        const overrides = {
+            respondents: numberOption(values.respondents, 'respondents'),
+            seed: numberOption(values.seed, 'seed'),
+            estimator: values.estimator,
+            scoringProfile: await readScoringProfile(values.profile),
+            typologyModel: await readTypologyModel(values.model),
+            strengthModel: await readTypologyModel(values['strength-model']),
+            thetaSd: numberOption(values['theta-sd'], 'theta-sd'),
+            profileSd: numberOption(values['profile-sd'], 'profile-sd'),
+            likertNoiseSd: numberOption(values['likert-noise'], 'likert-noise'),
+            includeJp: values['no-jp'] ? false : undefined
+        };
+        // Drop options that were not given, so they do not override the defaults.
+        Object.keys(overrides).forEach(key => overrides[key] === undefined && delete overrides[key]);
+
+        const { bankQuestions } = await loadItemBank(values.bank);
+        const report = runSimulation(bankQuestions, overrides);
+        if (values.json) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            printReport(report);
+        }
+        return 0;
+    } catch (error) {
+        console.error(error.message);
+        return 1;
+    }
+}
+
+process.exitCode = await main();
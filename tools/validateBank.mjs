@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// tools/validateBank.mjs: Command-Line Audit of questions.json Against the Parameter Matrix
+//
+// Usage: node tools/validateBank.mjs [path/to/questions.json] [--translations locales/questions.<code>.json]
+// Prints every issue found by `validateItemBank` and exits with status 1 if there are errors,
+// so the check can guard a commit hook or a CI step. With --translations, also checks that every
+// item translation matches an item of the bank and lists the items still in English.
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { itemParameters } from '../itemParameterMatrix.js';
+import { validateItemBank } from '../bankValidator.js';
+import { flattenItemBank } from '../protocol.js';
+import { localizeItemBank } from '../i18n.js';
+
+const USAGE = 'Usage: node tools/validateBank.mjs [path/to/questions.json] [--translations locales/questions.<code>.json]';
+const defaultBankPath = fileURLToPath(new URL('../questions.json', import.meta.url));
+
+let values, positionals;
+try {
+    ({ values, positionals } = parseArgs({ options: { translations: { type: 'string' } }, allowPositionals: true }));
+} catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(2);
+}
+const bankPath = positionals[0] || defaultBankPath;
+
+/**
+ * Reads and parses a JSON file, exiting with status 2 if that fails.
+ * @param {string} path - The file path.
+ * @returns {Promise<Object>} The parsed contents.
+ */
+async function readJson(path) {
+    try {
+        return JSON.parse(await readFile(path, 'utf8'));
+    } catch (error) {
+        console.error(`Could not read ${path}: ${error.message}`);
+        process.exit(2);
+    }
+}
+
+const bank = await readJson(bankPath);
+const { valid, errors, warnings, issues } = validateItemBank(bank, itemParameters);
+for (const issue of issues) {
+    console.log(`${issue.severity.toUpperCase()}  ${issue.location}: ${issue.message}`);
+}
+const itemCount = ['mbtiQuestions', 'jpQuestions', 'attitudeQuestions']
+    .reduce((count, section) => count + (Array.isArray(bank?.[section]) ? bank[section].length : 0), 0);
+console.log(`${bankPath}: ${itemCount} items checked, ${errors.length} error(s), ${warnings.length} warning(s).`);
+
+let translationsValid = true;
+if (values.translations && valid) {
+    const translations = await readJson(values.translations);
+    const { untranslated, problems } = localizeItemBank(flattenItemBank(bank), translations);
+    for (const problem of problems) console.log(`ERROR  ${problem}`);
+    if (untranslated.length > 0) console.log(`WARNING  still (partly) in English: ${untranslated.join(', ')}`);
+    console.log(`${values.translations}: ${itemCount - untranslated.length} of ${itemCount} items translated, ${problems.length} error(s).`);
+    translationsValid = problems.length === 0;
+}
+process.exit(valid && translationsValid ? 0 : 1);
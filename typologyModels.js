@@ -0,0 +1,159 @@
+// typologyModels.js: Pluggable Function-Stack Models for the Holistic Stack Scoring
+//
+// A typology model states which function occupies which position in each type's stack, and how
+// much a self-reported function strength counts in each position. The engine scores every type
+// of the selected model, so schools of function theory that disagree on stack order (or on
+// whether the shadow functions belong in the stack at all) can each be scored on their own terms.
+
+// The eight cognitive functions, in the engine's canonical order.
+export const COGNITIVE_FUNCTIONS = ['Ti', 'Te', 'Fi', 'Fe', 'Si', 'Se', 'Ni', 'Ne'];
+
+// A four-letter type code, one pole of each dichotomy.
+export const TYPE_CODE_PATTERN = /^[EI][SN][TF][JP]$/;
+
+// The original four-function stacks, with the tertiary in the same attitude as the dominant.
+const FOUR_FUNCTION_STACKS = {
+    'INTP': ['Ti', 'Ne', 'Si', 'Fe'], 'ENTP': ['Ne', 'Ti', 'Fe', 'Si'],
+    'ISTP': ['Ti', 'Se', 'Ni', 'Fe'], 'ESTP': ['Se', 'Ti', 'Fe', 'Ni'],
+    'INFJ': ['Ni', 'Fe', 'Ti', 'Se'], 'ENFJ': ['Fe', 'Ni', 'Se', 'Ti'],
+    'INTJ': ['Ni', 'Te', 'Fi', 'Se'], 'ENTJ': ['Te', 'Ni', 'Se', 'Fi'],
+    'ISFP': ['Fi', 'Se', 'Ni', 'Te'], 'ESFP': ['Se', 'Fi', 'Te', 'Ni'],
+    'INFP': ['Fi', 'Ne', 'Si', 'Te'], 'ENFP': ['Ne', 'Fi', 'Te', 'Si'],
+    'ISTJ': ['Si', 'Te', 'Fi', 'Ne'], 'ESTJ': ['Te', 'Si', 'Ne', 'Fi'],
+    'ISFJ': ['Si', 'Fe', 'Ti', 'Ne'], 'ESFJ': ['Fe', 'Si', 'Ne', 'Ti']
+};
+
+const FOUR_FUNCTION_POSITIONS = [
+    { key: 'dom', label: 'Dominant' },
+    { key: 'aux', label: 'Auxiliary' },
+    { key: 'ter', label: 'Tertiary' },
+    { key: 'inf', label: 'Inferior' }
+];
+
+const FOUR_FUNCTION_WEIGHTS = { dom: 5, aux: 3, ter: 1, inf: 0.5 };
+
+/**
+ * Returns the same function in the opposite attitude (e.g. 'Ti' -> 'Te').
+ * @param {string} fn - A cognitive function.
+ * @returns {string} The function with its attitude flipped.
+ */
+function flipAttitude(fn) {
+    return fn[0] + (fn[1] === 'i' ? 'e' : 'i');
+}
+
+/**
+ * Derives a stack table by mapping every type's four-function stack.
+ * @param {Function} mapStack - (stack) => new stack.
+ * @returns {Object} The new stack table, keyed by type.
+ */
+function deriveStacks(mapStack) {
+    return Object.fromEntries(Object.entries(FOUR_FUNCTION_STACKS).map(([type, stack]) => [type, mapStack(stack)]));
+}
+
+// The built-in models, by name.
+export const TYPOLOGY_MODELS = {
+    'four-function': {
+        name: 'four-function',
+        description: 'Dominant, auxiliary, tertiary and inferior, with the tertiary in the attitude of the dominant.',
+        positions: FOUR_FUNCTION_POSITIONS,
+        positionWeights: FOUR_FUNCTION_WEIGHTS,
+        stacks: FOUR_FUNCTION_STACKS
+    },
+    'tertiary-opposite': {
+        name: 'tertiary-opposite',
+        description: 'Dominant, auxiliary, tertiary and inferior, with the tertiary in the attitude of the auxiliary.',
+        positions: FOUR_FUNCTION_POSITIONS,
+        positionWeights: FOUR_FUNCTION_WEIGHTS,
+        stacks: deriveStacks(([dom, aux, ter, inf]) => [dom, aux, flipAttitude(ter), inf])
+    },
+    'eight-function': {
+        name: 'eight-function',
+        description: 'The four-function stack followed by its four shadow functions, which count against a type.',
+        positions: [
+            ...FOUR_FUNCTION_POSITIONS,
+            // Each shadow position holds the function of the matching primary position in the opposite attitude.
+            { key: 'opposing', label: 'Opposing', shadow: true },
+            { key: 'critical', label: 'Critical Parent', shadow: true },
+            { key: 'trickster', label: 'Trickster', shadow: true },
+            { key: 'demon', label: 'Demon', shadow: true }
+        ],
+        positionWeights: { ...FOUR_FUNCTION_WEIGHTS, opposing: -0.5, critical: -0.5, trickster: -1, demon: -1 },
+        stacks: deriveStacks(stack => [...stack, ...stack.map(flipAttitude)])
+    }
+};
+
+export const DEFAULT_TYPOLOGY_MODEL = 'four-function';
+
+/**
+ * Checks the stack table of a custom model against its positions.
+ * @param {Object} stacks - The stack table, keyed by type.
+ * @param {number} length - The number of positions every stack must fill.
+ * @throws {Error} If a type code or stack is invalid.
+ */
+function validateStacks(stacks, length) {
+    const types = Object.keys(stacks || {});
+    if (types.length < 2) throw new Error('A typology model must define stacks for at least two types.');
+    for (const type of types) {
+        if (!TYPE_CODE_PATTERN.test(type)) {
+            throw new Error(`Typology model type "${type}" is not a four-letter type code.`);
+        }
+        const stack = stacks[type];
+        if (!Array.isArray(stack) || stack.length !== length) {
+            throw new Error(`Typology model stack for ${type} must list exactly ${length} functions.`);
+        }
+        if (stack.some(fn => !COGNITIVE_FUNCTIONS.includes(fn)) || new Set(stack).size !== stack.length) {
+            throw new Error(`Typology model stack for ${type} must list distinct functions from ${COGNITIVE_FUNCTIONS.join(', ')}.`);
+        }
+    }
+}
+
+/**
+ * [PUBLIC] Resolves a typology model into a complete, validated model.
+ * A string selects a built-in model. An object defines a custom model with `positions`
+ * ([{ key, label, shadow? }]), `positionWeights` (one number per position key) and `stacks`
+ * (one array of functions per type, in position order); `name` and `description` are optional.
+ * @param {string|Object} [model] - A model name or a custom model object.
+ * @returns {Object} The complete model.
+ * @throws {Error} If the name is unknown, a custom model takes a built-in's name, or the model is invalid.
+ */
+export function resolveTypologyModel(model = DEFAULT_TYPOLOGY_MODEL) {
+    if (typeof model === 'string') {
+        if (!Object.hasOwn(TYPOLOGY_MODELS, model)) {
+            throw new Error(`Unknown typology model "${model}". Expected one of: ${Object.keys(TYPOLOGY_MODELS).join(', ')}, `
+                + 'or the definition of a custom model (e.g. in the typology_model_definition column of a CSV export).');
+        }
+        return TYPOLOGY_MODELS[model];
+    }
+    if (typeof model !== 'object' || model === null) {
+        throw new Error('A typology model must be a model name or an object.');
+    }
+
+    const { name = 'custom', description = 'Custom typology model.', positions, positionWeights, stacks } = model;
+    if (typeof name !== 'string' || name === '') {
+        throw new Error('Typology model field "name" must be a non-empty string.');
+    }
+    // Results name their model, and a built-in name would pass them off as scored by that model.
+    if (Object.hasOwn(TYPOLOGY_MODELS, name)) {
+        throw new Error(`Typology model name "${name}" belongs to a built-in model; give the custom model a name of its own.`);
+    }
+    if (!Array.isArray(positions) || positions.length === 0) {
+        throw new Error('Typology model field "positions" must be a non-empty array.');
+    }
+    const keys = positions.map(position => position?.key);
+    if (keys.some(key => typeof key !== 'string' || key === '') || new Set(keys).size !== keys.length) {
+        throw new Error('Every typology model position needs a distinct, non-empty "key".');
+    }
+    for (const key of keys) {
+        if (!Number.isFinite(positionWeights?.[key])) {
+            throw new Error(`Typology model field "positionWeights.${key}" must be a finite number.`);
+        }
+    }
+    validateStacks(stacks, positions.length);
+    return {
+        name,
+        description,
+        positions: positions.map(({ key, label = key, shadow = false }) => ({ key, label, shadow })),
+        positionWeights,
+        stacks
+    };
+}
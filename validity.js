@@ -0,0 +1,159 @@
+/**
+ * validity.js: Person-Fit and Response-Validity Screening.
+ *
+ * The scoring engine takes every answer pattern at face value. This module screens a completed
+ * protocol for signs of careless or inattentive responding before it reaches a dataset:
+ * 1.  **IRT Person Fit (lz):** For each dichotomy, the standardized log-likelihood of the
+ *     response pattern at the estimated theta (Drasgow, Levine & Williams, 1985). Large negative
+ *     values mean the pattern is far less likely than expected under the 2PL model, e.g. when
+ *     a respondent endorses the "hard" pole of strong items but not the "easy" one.
+ * 2.  **Straight-Lining:** A long run of identical responses on the Likert attitude items.
+ * 3.  **Alternating Patterns:** Responses that zig-zag between two values (e.g. 1, 5, 1, 5).
+ * 4.  **Implausibly Fast Completion:** An average response time below what reading allows.
+ * Each check reports 'ok', 'warning' or 'not-assessed' (when there is too little data).
+ */
+
+import { collectDichotomyItems, probability } from './scorer.js';
+
+// Default thresholds for the validity checks. Any of these may be overridden per call.
+export const VALIDITY_CONFIG = {
+    personFitThreshold: -1.96,   // lz below this value (one-sided 2.5%) flags a misfitting pattern
+    minItemsForPersonFit: 5,     // lz is not meaningful for very short patterns
+    straightLineRun: 8,          // This many identical Likert responses in a row flags straight-lining
+    alternatingShare: 0.8,       // Share of responses that repeat the one two back but not the previous one
+    minLikertItemsForPattern: 6, // Pattern checks need at least this many Likert responses
+    minSecondsPerItem: 2         // Average seconds per answered item below this flags fast completion
+};
+
+/**
+ * Calculates the standardized log-likelihood person-fit statistic lz for one dichotomy.
+ * @param {Array} items - The answered items as { a, b, u } objects.
+ * @param {number} theta - The estimated theta for the dichotomy.
+ * @returns {number} The lz statistic (approximately standard normal for fitting patterns).
+ */
+function personFitLz(items, theta) {
+    let observed = 0;
+    let expected = 0;
+    let variance = 0;
+    for (const { a, b, u } of items) {
+        // Keep P away from 0 and 1 so the logarithms stay finite for extreme thetas.
+        const P = Math.min(1 - 1e-10, Math.max(1e-10, probability(theta, a, b)));
+        const logP = Math.log(P);
+        const logQ = Math.log(1 - P);
+        observed += u * logP + (1 - u) * logQ;
+        expected += P * logP + (1 - P) * logQ;
+        variance += P * (1 - P) * Math.pow(Math.log(P / (1 - P)), 2);
+    }
+    return variance > 0 ? (observed - expected) / Math.sqrt(variance) : 0;
+}
+
+/**
+ * Finds the length of the longest run of identical consecutive values.
+ * @param {Array} values - The responses, in presentation order.
+ * @returns {number} The length of the longest run.
+ */
+function longestRun(values) {
+    let longest = 0;
+    let current = 0;
+    values.forEach((value, i) => {
+        current = i > 0 && value === values[i - 1] ? current + 1 : 1;
+        longest = Math.max(longest, current);
+    });
+    return longest;
+}
+
+/**
+ * Measures how strongly responses alternate between two values.
+ * @param {Array} values - The responses, in presentation order.
+ * @returns {number} The share of positions (from the third on) that repeat the response two
+ *                   back while differing from the previous one.
+ */
+function alternationShare(values) {
+    if (values.length < 3) return 0;
+    let alternating = 0;
+    for (let i = 2; i < values.length; i++) {
+        if (values[i] === values[i - 2] && values[i] !== values[i - 1]) alternating++;
+    }
+    return alternating / (values.length - 2);
+}
+
+/**
+ * [PUBLIC] Runs all validity checks on a completed protocol.
+ * @param {Object} protocol - The protocol to screen.
+ * @param {Object} protocol.result - The object returned by `calculateHybridResults`.
+ * @param {Object} protocol.mbtiAnswers - Forced-choice answers keyed by question number ({ choice }).
+ * @param {Array} protocol.mbtiQuestions - The forced-choice questions of the bank.
+ * @param {Array} protocol.likertResponses - The Likert responses, in the order they were presented.
+ * @param {number|null} protocol.durationMs - Time from start to completion, or null if unknown.
+ * @param {number} protocol.answeredCount - The total number of answered items.
+ * @param {Object} [config] - Partial overrides for VALIDITY_CONFIG.
+ * @returns {Object} { flagged, checks, warnings }, where each check is
+ *                   { id, label, status, value, message } and warnings lists the flagged messages.
+ */
+export function assessValidity({ result, mbtiAnswers, mbtiQuestions, likertResponses, durationMs, answeredCount }, config = {}) {
+    const settings = { ...VALIDITY_CONFIG, ...config };
+    const checks = [];
+
+    // --- IRT person fit per dichotomy ---
+    for (const [dichotomy, { theta }] of Object.entries(result.dichotomies)) {
+        const items = collectDichotomyItems(dichotomy, mbtiAnswers, mbtiQuestions);
+        const check = { id: `person-fit-${dichotomy}`, label: `Person fit (lz), ${dichotomy}`, value: null };
+        if (items.length < settings.minItemsForPersonFit) {
+            check.status = 'not-assessed';
+            check.message = `Too few ${dichotomy} items answered (${items.length}) to assess person fit.`;
+        } else {
+            check.value = personFitLz(items, theta);
+            check.status = check.value < settings.personFitThreshold ? 'warning' : 'ok';
+            check.message = check.status === 'warning'
+                ? `The ${dichotomy} answers are unusually inconsistent with one another (lz = ${check.value.toFixed(2)}).`
+                : `The ${dichotomy} answers fit the measurement model (lz = ${check.value.toFixed(2)}).`;
+        }
+        checks.push(check);
+    }
+
+    // --- Likert response patterns ---
+    const patternAssessable = likertResponses.length >= settings.minLikertItemsForPattern;
+    const run = longestRun(likertResponses);
+    checks.push({
+        id: 'straight-lining',
+        label: 'Straight-lining',
+        value: patternAssessable ? run : null,
+        status: !patternAssessable ? 'not-assessed' : run >= settings.straightLineRun ? 'warning' : 'ok',
+        message: !patternAssessable
+            ? 'Too few attitude items answered to check for straight-lining.'
+            : run >= settings.straightLineRun
+                ? `${run} attitude items in a row received the identical response.`
+                : `The longest run of identical attitude responses is ${run}.`
+    });
+
+    const share = alternationShare(likertResponses);
+    checks.push({
+        id: 'alternating',
+        label: 'Alternating pattern',
+        value: patternAssessable ? share : null,
+        status: !patternAssessable ? 'not-assessed' : share >= settings.alternatingShare ? 'warning' : 'ok',
+        message: !patternAssessable
+            ? 'Too few attitude items answered to check for alternating responses.'
+            : share >= settings.alternatingShare
+                ? `The attitude responses alternate in a fixed pattern (${Math.round(share * 100)}% of items).`
+                : 'No alternating pattern in the attitude responses.'
+    });
+
+    // --- Completion speed ---
+    const speedAssessable = Number.isFinite(durationMs) && answeredCount > 0;
+    const secondsPerItem = speedAssessable ? durationMs / 1000 / answeredCount : null;
+    checks.push({
+        id: 'completion-speed',
+        label: 'Completion speed',
+        value: secondsPerItem,
+        status: !speedAssessable ? 'not-assessed' : secondsPerItem < settings.minSecondsPerItem ? 'warning' : 'ok',
+        message: !speedAssessable
+            ? 'Completion time is unknown.'
+            : secondsPerItem < settings.minSecondsPerItem
+                ? `Completed implausibly fast: ${secondsPerItem.toFixed(1)} seconds per item on average.`
+                : `${secondsPerItem.toFixed(1)} seconds per item on average.`
+    });
+
+    const warnings = checks.filter(c => c.status === 'warning').map(c => c.message);
+    return { flagged: warnings.length > 0, checks, warnings };
+}